@@ -0,0 +1,160 @@
+/**
+ * MochaMap - Embed API
+ * Include this file on a host page and call MochaMap.create(element, options) to mount a map with
+ * its search, filters and results in any container. Each instance runs the app in its own iframe,
+ * so a page can hold several independent maps.
+ *
+ *   const cafeMap = MochaMap.create(document.getElementById('cafes'), { query: 'Berlin' });
+ *   cafeMap.on('select', detail => console.log(detail.cafe.name));
+ *   cafeMap.setFilters({ openNow: true, minRating: 4 });
+ */
+(function () {
+    const scriptUrl = document.currentScript ? document.currentScript.src : window.location.href;
+    const EVENT_TYPES = ['ready', 'results', 'select', 'error'];
+
+    /**
+     * Build the iframe URL; the app restores its initial search and filters from these parameters
+     */
+    function buildAppUrl(options) {
+        const url = new URL(options.appUrl || 'index.html', scriptUrl);
+        const filters = options.filters || {};
+        const params = url.searchParams;
+
+        params.set('embed', '1');
+        params.set('parentOrigin', window.location.origin);
+
+        if (options.query) params.set('q', options.query);
+        if (options.center) {
+            params.set('center', `${options.center[0]},${options.center[1]}`);
+            params.set('map', `${options.zoom || 13}/${options.center[0]}/${options.center[1]}`);
+        }
+        if (options.radius) params.set('radius', options.radius);
+        if (options.provider) params.set('provider', options.provider);
+        if (options.seed) params.set('seed', options.seed);
+        if (options.language) params.set('lang', options.language);
+        if (options.units) params.set('units', options.units);
+        if (options.theme) params.set('theme', options.theme);
+        if (options.mapStyle) params.set('style', options.mapStyle);
+
+        if (filters.specialties && filters.specialties.length > 0) params.set('specialty', filters.specialties.join(','));
+        if (filters.drink) params.set('drink', filters.drink);
+        if (filters.amenities && filters.amenities.length > 0) params.set('amenities', filters.amenities.join(','));
+        if (filters.keyword) params.set('text', filters.keyword);
+        if (filters.minRating) params.set('minRating', filters.minRating);
+        if (filters.openNow) params.set('open', '1');
+        if (filters.sort) params.set('sort', filters.sort);
+        if (filters.openAt) params.set('at', filters.openAt);
+
+        return url;
+    }
+
+    /**
+     * Mount a MochaMap instance in element.
+     * Options: query or center [lat, lng] (+ zoom), radius (m), filters, provider, seed,
+     * language ('en' or 'fr'), units ('metric' or 'imperial'), theme ('auto', 'light' or 'dark'),
+     * mapStyle ('standard', 'light', 'dark' or 'high-contrast'), height (CSS length, default 600px)
+     * and appUrl (defaults to index.html next to embed.js).
+     */
+    function create(element, options = {}) {
+        if (!(element instanceof HTMLElement)) {
+            throw new TypeError('MochaMap.create() needs a container element');
+        }
+
+        const appUrl = buildAppUrl(options);
+        const iframe = document.createElement('iframe');
+        iframe.src = appUrl.href;
+        iframe.title = options.title || 'MochaMap coffee shop map';
+        iframe.allow = 'geolocation; fullscreen';
+        iframe.style.cssText = `display: block; width: 100%; height: ${options.height || '600px'}; border: 0;`;
+
+        const listeners = {};
+        EVENT_TYPES.forEach(type => listeners[type] = []);
+        let pendingCommands = [];
+        let isReady = false;
+
+        function send(command, args) {
+            const message = { target: 'mochamap', command: command, args: args };
+            // Commands sent before the app has loaded are delivered once it is ready
+            if (isReady) {
+                iframe.contentWindow.postMessage(message, appUrl.origin);
+            } else {
+                pendingCommands.push(message);
+            }
+        }
+
+        function handleMessage(event) {
+            const data = event.data;
+            if (event.source !== iframe.contentWindow || event.origin !== appUrl.origin) return;
+            if (!data || data.source !== 'mochamap' || !listeners[data.type]) return;
+
+            if (data.type === 'ready') {
+                isReady = true;
+                pendingCommands.forEach(message => iframe.contentWindow.postMessage(message, appUrl.origin));
+                pendingCommands = [];
+            }
+
+            listeners[data.type].forEach(handler => {
+                try {
+                    handler(data.detail, instance);
+                } catch (error) {
+                    console.error(`MochaMap "${data.type}" handler failed:`, error);
+                }
+            });
+        }
+
+        const instance = {
+            element: element,
+            iframe: iframe,
+
+            /**
+             * Search by place name, or around [lat, lng]
+             */
+            search(query) {
+                send('search', { query: query });
+                return instance;
+            },
+
+            /**
+             * Change filters: specialties, drink, amenities, keyword, minRating, openNow, sort, openAt, radius, ratingSource
+             */
+            setFilters(filters) {
+                send('setFilters', { filters: filters });
+                return instance;
+            },
+
+            /**
+             * Select a cafe from the current results by its id (as reported in results events)
+             */
+            select(cafeId) {
+                send('select', { cafeId: cafeId });
+                return instance;
+            },
+
+            on(type, handler) {
+                if (!listeners[type]) {
+                    throw new Error(`Unknown MochaMap event "${type}". Use one of: ${EVENT_TYPES.join(', ')}`);
+                }
+                listeners[type].push(handler);
+                return instance;
+            },
+
+            off(type, handler) {
+                if (listeners[type]) {
+                    listeners[type] = listeners[type].filter(listener => listener !== handler);
+                }
+                return instance;
+            },
+
+            destroy() {
+                window.removeEventListener('message', handleMessage);
+                iframe.remove();
+            }
+        };
+
+        window.addEventListener('message', handleMessage);
+        element.appendChild(iframe);
+        return instance;
+    }
+
+    window.MochaMap = { create: create };
+})();
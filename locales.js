@@ -0,0 +1,863 @@
+/**
+ * Coffee Explorer - Translations
+ * One message catalog per language, loaded before script.js. Keys are looked up with t() in
+ * script.js and with data-i18n attributes in index.html. {name} placeholders are filled in when
+ * a message is shown; messages with plural forms hold one entry per Intl.PluralRules category.
+ * English is the fallback for keys a catalog does not have.
+ */
+const MOCHAMAP_MESSAGES = {
+    en: {
+        'app.title': 'Coffee Explorer - Find Your Perfect Brew',
+        'app.tagline': 'Discover the perfect coffee spots in your neighborhood',
+        'app.offline': '📡 You are offline - showing cached map tiles, saved results and your lists',
+        'settings.language': 'Language',
+        'settings.units': 'Units',
+        'settings.metric': 'km',
+        'settings.imperial': 'miles',
+        'settings.theme': 'Theme',
+        'settings.themeAuto': 'Auto theme',
+        'settings.themeLight': 'Light',
+        'settings.themeDark': 'Dark',
+
+        // Carousel, facts and tips
+        'carousel.title': 'Explore Coffee Varieties',
+        'carousel.subtitle': 'Discover different types of coffee from around the world - pick one to find the cafes that serve it',
+        'carousel.servedAt': { one: 'Served at {count} cafe here', other: 'Served at {count} cafes here' },
+        'carousel.filtered': { one: '{count} cafe serves {drink}', other: '{count} cafes serve {drink}' },
+        'carousel.searchFirst': 'Search for a location to find cafes serving {drink}',
+        'carousel.previous': 'Previous coffee',
+        'carousel.next': 'Next coffee',
+        'coffee.espresso': 'Espresso',
+        'coffee.espresso.description': 'Rich, concentrated coffee shot with a bold flavor and creamy crema on top.',
+        'coffee.cappuccino': 'Cappuccino',
+        'coffee.cappuccino.description': 'Perfect balance of espresso, steamed milk, and thick milk foam in equal parts.',
+        'coffee.americano': 'Americano',
+        'coffee.americano.description': 'Espresso shots diluted with hot water, creating a lighter coffee similar to drip coffee.',
+        'coffee.mocha': 'Mocha',
+        'coffee.mocha.description': 'Decadent blend of espresso, chocolate syrup, and steamed milk topped with whipped cream.',
+        'coffee.latte': 'Latte',
+        'coffee.latte.description': 'Smooth espresso with lots of steamed milk and a light layer of milk foam.',
+        'coffee.hazelnut': 'HazelNut',
+        'coffee.hazelnut.description': 'Espresso infused with rich, nutty hazelnut flavor.',
+        'coffee.frappe': 'Frappé',
+        'coffee.frappe.description': 'Iced coffee drink blended with milk and topped with whipped cream and ice.',
+        'coffee.dalgona': 'Dalgona Coffee',
+        'coffee.dalgona.description': 'Whipped coffee cloud over chilled milk.',
+        'facts.cups': 'Billion cups consumed daily',
+        'facts.farmers': 'Million coffee farmers worldwide',
+        'facts.countries': 'Countries grow coffee',
+        'tips.title': 'Coffee Tips & Tricks',
+        'tips.temperature': 'Perfect Temperature',
+        'tips.temperature.text': 'The ideal brewing temperature for coffee is between 195°F and 205°F (90°C-96°C).',
+        'tips.time': 'Brewing Time',
+        'tips.time.text': 'Espresso: 25-30 seconds, Pour-over: 4-6 minutes, French Press: 4 minutes.',
+        'tips.ratio': 'Coffee Ratio',
+        'tips.ratio.text': 'Use a 1:15 to 1:17 ratio (coffee to water) for optimal extraction and flavor.',
+        'tips.beans': 'Fresh Beans',
+        'tips.beans.text': 'Use coffee beans within 2-4 weeks of the roast date for best flavor.',
+
+        // Search
+        'search.placeholder': 'Enter your location (e.g., New York, London, Paris...)',
+        'search.find': 'Find Coffee Shops',
+        'search.nearMe': 'Near Me',
+        'search.enterLocation': 'Please enter a location to search',
+        'search.pickPlace': 'Several places match - pick one:',
+        'search.found': 'Found location: {place}',
+        'search.notFound': 'Location not found',
+        'search.notFoundHint': 'Check the spelling or try a nearby city or landmark.',
+        'search.notFoundToast': 'Location not found. Please try a different search term.',
+        'search.failed': 'Location search failed',
+        'search.failedToast': 'Location search failed. Please try again.',
+        'search.loadFailed': 'Could not load coffee shops',
+        'search.loadFailedToast': 'Could not load coffee shops. Please try again.',
+        'search.retry': 'Try Again',
+        'request.timeout': 'The server took too long to respond. It may be busy - please try again in a moment.',
+        'request.network': 'We could not reach the server. Check your internet connection and try again.',
+        'request.rateLimited': 'Too many requests were made in a short time. Please wait a moment and try again.',
+        'request.http': 'The server returned an error ({status}). Please try again later.',
+        'request.unknown': 'Something went wrong while searching. Please try again.',
+        'geo.unsupported': 'Geolocation is not supported by your browser',
+        'geo.unsupportedDefault': 'Geolocation not supported. Showing default location.',
+        'geo.usingDefault': 'Using default location. Click "Near Me" to use your location.',
+        'geo.found': 'Found your location! Searching nearby...',
+        'geo.foundSearching': 'Location found! Searching for nearby cafes...',
+        'geo.failed': 'Unable to get your location. Please check location permissions.',
+
+        // Filters
+        'filters.distance': 'Distance',
+        'filters.sortBy': 'Sort By',
+        'filters.sortDistance': 'Distance',
+        'filters.sortName': 'Name',
+        'filters.sortRating': 'Rating',
+        'filters.ratings': 'Ratings',
+        'filters.ratingsListed': 'Listed ratings',
+        'filters.ratingsOwn': 'My ratings',
+        'filters.ratingsBlend': 'Blend of both',
+        'filters.openAt': 'Open At',
+        'filters.openAtHint': 'Show opening status at this time (leave empty for now)',
+        'filters.keyword': 'Keyword',
+        'filters.keywordPlaceholder': 'e.g. cold brew, pastries...',
+        'filters.minRating': 'Min Rating:',
+        'filters.minRatingValue': '{rating}+',
+        'filters.any': 'Any',
+        'filters.status': 'Status',
+        'filters.openNow': 'Open now',
+        'filters.openThen': 'Open then',
+        'filters.specialty': 'Specialty',
+        'filters.drink': 'Drink',
+        'filters.anyDrink': 'Any drink',
+        'filters.amenities': 'Amenities',
+        'filters.clear': 'Clear filters',
+        'filters.matches': { one: '{count} match', other: '{count} matches' },
+        'filters.cafes': { one: '{count} cafe', other: '{count} cafes' },
+        'specialty.coffee': 'Coffee Shop',
+        'specialty.cafe': 'Cafe',
+        'specialty.bakery': 'Bakery',
+        'specialty.roastery': 'Roastery',
+        'amenity.wifi': 'Wi-Fi',
+        'amenity.outlets': 'Power outlets',
+        'amenity.outdoorSeating': 'Outdoor seating',
+        'amenity.wheelchair': 'Wheelchair accessible',
+        'amenity.plantMilk': 'Vegan / oat milk',
+        'amenity.takeawayOnly': 'Takeaway only',
+
+        // Map
+        'map.label': 'Interactive map showing coffee shops',
+        'map.fullscreen': 'Toggle fullscreen',
+        'map.center': 'Center on your location',
+        'map.yourLocation': '📍 Your Location',
+        'map.clusterOpen': '{open} of {count} open',
+        'map.clusterUnknown': '{count} with unknown hours',
+        'map.loadFailed': 'Map failed to load. Please refresh the page.',
+        'map.fullscreenUnsupported': 'Fullscreen not supported',
+        'map.centered': 'Centered on your location',
+        'map.locationUnavailable': 'Location not available',
+        'mapStyle.standard': 'Standard',
+        'mapStyle.light': 'Light',
+        'mapStyle.dark': 'Dark',
+        'mapStyle.high-contrast': 'High contrast',
+        'searchArea.search': '🔄 Search this area',
+        'searchArea.zoomIn': '🔍 Zoom in to search this area',
+
+        // Results
+        'results.title': 'Coffee Discoveries',
+        'results.ready': 'Ready to explore coffee shops in your area!',
+        'results.readyHint': 'Use the search above to find amazing coffee spots',
+        'results.empty': 'No coffee shops found',
+        'results.emptyHint': 'Try adjusting your filters or search in a different area',
+        'loading.title': 'Brewing your coffee search...',
+        'loading.hint': 'Finding the best coffee spots nearby',
+        'stats.found': 'Coffee Shops Found',
+        'stats.averageRating': 'Average Rating',
+        'stats.myAverageRating': 'My Average Rating',
+        'stats.blendedRating': 'Blended Rating',
+        'stats.openNow': 'Open Now',
+        'stats.openAt': 'Open at {time}',
+        'pagination.previous': '‹ Previous',
+        'pagination.next': 'Next ›',
+        'pagination.pageOf': 'Page {page} of {total}',
+
+        // Heatmap and neighborhood statistics
+        'heatmap.label': 'Heatmap',
+        'heatmap.off': 'No heatmap',
+        'heatmap.densityOption': 'Heatmap: cafe density',
+        'heatmap.ratingOption': 'Heatmap: average rating',
+        'heatmap.density': 'Cafes per cell',
+        'heatmap.rating': 'Average rating',
+        'heatmap.cellSize': 'Cells of {size}',
+        'heatmap.cellCafes': { one: '{count} cafe', other: '{count} cafes' },
+        'heatmap.cellRating': { one: '{rating} ★ from {count} rated cafe', other: '{rating} ★ average of {count} rated cafes' },
+        'neighborhood.title': '📊 Neighborhood Statistics',
+        'neighborhood.ratings': 'Ratings',
+        'neighborhood.unrated': 'No rating',
+        'neighborhood.specialties': 'Specialties',
+        'neighborhood.openByHour': 'Open by hour ({day})',
+        'neighborhood.openByHourLabel': 'Share of cafes open at each hour on {day}',
+        'neighborhood.hourDetail': '{time}: {open} open, {closed} closed, {unknown} unknown',
+        'neighborhood.nearest': 'Nearest cafe',
+        'neighborhood.median': 'Median',
+        'neighborhood.mean': 'Average',
+        'neighborhood.closest': 'Closest pair',
+        'neighborhood.farthest': 'Most isolated',
+        'neighborhood.distanceNote': 'Straight-line distance from each cafe to the nearest other result',
+        'neighborhood.needTwo': 'Distances need at least two cafes',
+
+        // Cafe cards and popups
+        'cafe.noRating': 'No rating',
+        'cafe.notAvailable': 'N/A',
+        'cafe.distanceAway': '{distance} away',
+        'cafe.distance': 'Distance:',
+        'cafe.address': 'Address:',
+        'cafe.hours': 'Hours:',
+        'cafe.menu': 'Menu:',
+        'status.unknown': 'Hours unknown',
+        'status.openNow': 'Open now',
+        'status.closed': 'Closed',
+        'status.openAt': 'Open {time}',
+        'status.closedAt': 'Closed {time}',
+        'hours.notListed': 'Hours not listed',
+        'hours.closed': 'closed',
+        'hours.allDay': 'open 24 hours',
+
+        // Directions
+        'directions.button': 'Directions',
+        'directions.walk': '🚶 Walk',
+        'directions.bike': '🚲 Bike',
+        'directions.car': '🚗 Car',
+        'directions.to': 'To {name}',
+        'directions.close': 'Close directions',
+        'directions.loading': 'Finding the best route...',
+        'directions.noRoute': 'Could not find a route. Please try again later.',
+        'directions.needOrigin': 'Search for a location or use "Near Me" to get directions',
+        'directions.eta': 'ETA {time}',
+        'directions.depart': 'Head out',
+        'directions.departOn': 'Head out on {road}',
+        'directions.arrive': 'Arrive at the cafe',
+        'directions.roundabout': 'Take exit {exit} at the roundabout',
+        'directions.onto': 'onto {road}',
+        'route.type.turn': 'Turn',
+        'route.type.end of road': 'Turn',
+        'route.type.continue': 'Continue',
+        'route.type.new name': 'Continue',
+        'route.type.merge': 'Merge',
+        'route.type.fork': 'Keep',
+        'route.type.on ramp': 'Take the ramp',
+        'route.type.off ramp': 'Take the exit',
+        'route.type.roundabout turn': 'At the roundabout, turn',
+        'route.type.exit roundabout': 'Exit the roundabout',
+        'route.type.exit rotary': 'Exit the roundabout',
+        'route.type.use lane': 'Use the lane',
+        'route.type.notification': 'Continue',
+        'route.modifier.uturn': 'U-turn',
+        'route.modifier.sharp right': 'sharp right',
+        'route.modifier.right': 'right',
+        'route.modifier.slight right': 'slightly right',
+        'route.modifier.straight': 'straight',
+        'route.modifier.slight left': 'slightly left',
+        'route.modifier.left': 'left',
+        'route.modifier.sharp left': 'sharp left',
+
+        // Collections
+        'collections.title': 'My Coffee Lists',
+        'collections.subtitle': 'Save cafes into your own lists and bring them back to the map anytime',
+        'collections.list': 'List',
+        'collections.show': 'Show on Map',
+        'collections.delete': 'Delete List',
+        'collections.namePlaceholder': 'New list name (e.g., Remote work spots)',
+        'collections.create': 'Create List',
+        'collections.favorites': 'Favorites',
+        'collections.emptyHint': 'No cafes in "{name}" yet. Tap ♡ on a cafe to save it here.',
+        'collections.removeCafe': 'Remove {name}',
+        'collections.saveFailed': 'Could not save your collections in this browser.',
+        'collections.nameRequired': 'Please enter a name for the new list',
+        'collections.nameTaken': 'A list named "{name}" already exists',
+        'collections.created': 'Created list "{name}"',
+        'collections.needOne': 'You need at least one list',
+        'collections.confirmDelete': 'Delete the list "{name}"?',
+        'collections.empty': 'This list has no cafes yet',
+        'crawl.title': 'Coffee Crawl',
+        'crawl.subtitle': 'Add cafes from the results or the map and get a short route that visits them all',
+        'crawl.profile': 'Travel by',
+        'crawl.startTime': 'Start at',
+        'crawl.stay': 'Minutes per stop',
+        'crawl.show': 'Show on Map',
+        'crawl.share': 'Share',
+        'crawl.clear': 'Clear',
+        'crawl.saved': 'Saved plans',
+        'crawl.open': 'Open',
+        'crawl.delete': 'Delete',
+        'crawl.namePlaceholder': 'Plan name (e.g., Friday team crawl)',
+        'crawl.save': 'Save Plan',
+        'crawl.noSaved': 'No saved plans',
+        'crawl.add': '➕ Add to crawl',
+        'crawl.inCrawl': '✓ In crawl',
+        'crawl.added': 'Added {name} to the crawl',
+        'crawl.removed': 'Removed {name} from the crawl',
+        'crawl.removeStop': 'Remove {name} from the crawl',
+        'crawl.full': 'A crawl can have up to {count} stops',
+        'crawl.emptyHint': 'No stops yet. Use "Add to crawl" on a cafe to start planning.',
+        'crawl.loading': 'Planning your crawl...',
+        'crawl.fromLocation': 'Starting from your location',
+        'crawl.fromSearch': 'Starting from the searched location',
+        'crawl.fromPlan': 'Starting from the plan’s starting point',
+        'crawl.estimated': 'Routing is unavailable, so these are straight-line estimates',
+        'crawl.totalTime': '{duration} in total',
+        'crawl.finish': 'Done by {time}',
+        'crawl.arrive': 'arrive {time}',
+        'crawl.status.open': 'Open for your visit',
+        'crawl.status.closing': 'Closes before you leave',
+        'crawl.status.closed': 'Closed when you arrive',
+        'crawl.status.unknown': 'Hours unknown',
+        'crawl.closedWarning': { one: '{count} stop is closed for part of your visit', other: '{count} stops are closed for part of your visit' },
+        'crawl.needStops': 'Add at least one cafe to the crawl first',
+        'crawl.nameRequired': 'Please enter a name for the plan',
+        'crawl.planSaved': 'Saved plan "{name}"',
+        'crawl.confirmDelete': 'Delete the plan "{name}"?',
+        'crawl.confirmClear': 'Remove all stops from the crawl?',
+        'crawl.linkCopied': 'Link to this crawl copied',
+        'crawl.copyLink': 'Copy this link to share the crawl:',
+        'crawl.sharedLoaded': 'Loaded a shared coffee crawl',
+        'crawl.invalidLink': 'This crawl link is not valid',
+        'crawl.saveFailed': 'Could not save your crawl in this browser.',
+        'favorites.save': 'Save to {list}',
+        'favorites.remove': 'Remove from {list}',
+        'favorites.saved': 'Saved to {list} ♥',
+        'favorites.removed': 'Removed from {list}',
+
+        // Curator mode
+        'curator.mapButton': 'Curator mode: add, move and edit cafes',
+        'curator.title': 'Curator Mode',
+        'curator.subtitle': 'Fix a wrong address or hours, drag a misplaced cafe, or click the map to add a missing one. Your changes stay in this browser.',
+        'curator.start': 'Start Curating',
+        'curator.stop': 'Stop Curating',
+        'curator.undo': 'Undo',
+        'curator.export': 'Export Changes',
+        'curator.discard': 'Discard All',
+        'curator.emptyHint': 'No changes yet. Start curating, then click the map to add a cafe or open a cafe to edit it.',
+        'curator.on': 'Curator mode on: click the map to add a cafe, drag a marker to move it',
+        'curator.off': 'Curator mode off',
+        'curator.saveFailed': 'Could not save your cafe changes in this browser.',
+        'curator.action.add': 'added cafe',
+        'curator.action.edit': 'edited details',
+        'curator.action.move': 'moved cafe',
+        'curator.action.revert': 'restored cafe',
+        'curator.undone': 'Undid: {action}',
+        'curator.added': 'Added {name}',
+        'curator.addedOutside': 'Added {name}. It is outside the current results, so search there to see it.',
+        'curator.saved': 'Saved changes to {name}',
+        'curator.moved': 'Moved {name}',
+        'curator.noChanges': 'Nothing was changed',
+        'curator.editDetails': 'Edit details',
+        'curator.revert': 'Undo my changes',
+        'curator.remove': 'Remove cafe',
+        'curator.revertCafe': 'Undo your changes to {name}',
+        'curator.removeCafe': 'Remove {name}',
+        'curator.confirmRevert': 'Undo all your changes to {name}?',
+        'curator.confirmRemove': 'Remove {name}, which you added?',
+        'curator.confirmDiscard': 'Discard every cafe you added or edited? This cannot be undone.',
+        'curator.reverted': 'Restored {name}',
+        'curator.removed': 'Removed {name}',
+        'curator.discarded': 'Discarded all cafe changes',
+        'curator.badgeAdded': 'Added by you',
+        'curator.badgeEdited': 'Edited by you',
+        'curator.addedHere': 'Added at {address}',
+        'curator.changed': 'Changed: {fields}',
+        'curator.newTitle': 'New cafe',
+        'curator.editTitle': 'Edit cafe',
+        'curator.field.name': 'Name',
+        'curator.field.address': 'Address',
+        'curator.field.lat': 'Latitude',
+        'curator.field.lng': 'Longitude',
+        'curator.field.position': 'Position',
+        'curator.field.specialty': 'Type',
+        'curator.field.rating': 'Rating (0-5)',
+        'curator.field.hours': 'Opening hours',
+        'curator.field.phone': 'Phone',
+        'curator.field.website': 'Website',
+        'curator.field.amenities': 'Amenities',
+        'curator.field.description': 'Description',
+        'curator.field.menu': 'Menu',
+        'curator.field.currency': 'Currency',
+        'curator.hoursPlaceholder': 'Mo-Fr 07:00-18:00; Sa 08:00-14:00',
+        'curator.price': 'Price',
+        'curator.priceOf': 'Price of {drink}',
+        'curator.save': 'Save cafe',
+        'curator.invalidCurrency': 'currency must be a 3-letter code such as USD, got "{value}"',
+        'curator.nothingToExport': 'You have not added or edited any cafes',
+        'curator.exported': { one: 'Exported {count} changed cafe', other: 'Exported {count} changed cafes' },
+
+        // Reviews
+        'reviews.yours': 'Your review',
+        'reviews.yourRating': 'Your rating:',
+        'reviews.visited': 'Visited {date}',
+        'reviews.write': 'Write a review',
+        'reviews.edit': 'Edit review',
+        'reviews.delete': 'Delete review',
+        'reviews.ratingLabel': 'Your rating',
+        'reviews.stars': { one: '{count} star', other: '{count} stars' },
+        'reviews.visitedOn': 'Visited on',
+        'reviews.placeholder': 'How was your visit?',
+        'reviews.save': 'Save review',
+        'reviews.cancel': 'Cancel',
+        'reviews.saved': 'Review saved ✎',
+        'reviews.deleted': 'Review deleted',
+        'reviews.confirmDelete': 'Delete your review of this cafe?',
+        'reviews.pickRating': 'Please pick a star rating',
+        'reviews.saveFailed': 'Could not save your reviews in this browser.',
+        'reviews.tag.laptops': 'Good for laptops',
+        'reviews.tag.quiet': 'Quiet',
+        'reviews.tag.groups': 'Good for groups',
+        'reviews.tag.coffee': 'Great coffee',
+        'reviews.tag.food': 'Great food',
+        'reviews.tag.staff': 'Friendly staff',
+        'reviews.tag.pricey': 'Pricey',
+
+        // Import and export
+        'export.format': 'Export format',
+        'export.button': '⬇ Export Results',
+        'export.empty': 'There are no cafes to export',
+        'export.done': { one: 'Exported {count} cafe as {format}', other: 'Exported {count} cafes as {format}' },
+        'import.button': '⬆ Import File',
+        'import.done': { one: 'Imported {count} cafe from {file}', other: 'Imported {count} cafes from {file}' },
+        'import.failed': 'Could not import {file}',
+        'import.noCafes': 'No valid cafes found in {file}',
+        'import.readFailed': 'Could not read {file}',
+        'import.invalidJson': 'The file is not valid JSON',
+        'import.notFeatureCollection': 'Expected a GeoJSON FeatureCollection',
+        'import.notPoint': 'geometry must be a Point',
+        'import.csvTooShort': 'The CSV file needs a header row and at least one cafe',
+        'import.csvColumns': 'The CSV header must include name, lat and lng columns',
+        'import.invalidGpx': 'The file is not valid GPX/XML',
+        'import.noWaypoints': 'No waypoints (<wpt>) found in the GPX file',
+        'import.feature': 'Feature',
+        'import.row': 'Row',
+        'import.waypoint': 'Waypoint',
+        'import.recordError': '{record} {number}: {problems}',
+        'import.nameMissing': 'name is missing',
+        'import.invalidLatitude': 'invalid latitude "{value}"',
+        'import.invalidLongitude': 'invalid longitude "{value}"',
+        'import.invalidRating': 'rating must be between 0 and 5, got "{value}"',
+        'import.unknownSpecialty': 'unknown specialty "{value}"',
+        'import.unknownAmenity': 'unknown amenity "{value}"',
+        'import.unknownDrink': 'unknown menu drink "{value}"',
+        'import.invalidPrice': 'invalid menu price for "{value}"',
+        'import.summary': '{file}: {imported} imported, {skipped} skipped',
+        'import.moreErrors': '...and {count} more',
+        'import.dismiss': 'Dismiss import report',
+
+        // Offline, toasts and footer
+        'offline.backOnline': 'Back online ☕',
+        'offline.nowOffline': 'You are offline. Showing saved data where available.',
+        'offline.noSavedResults': 'You are offline and there are no saved results yet.',
+        'offline.savedResults': 'Showing saved results from {date}',
+        'offline.savedResultsFor': 'Showing saved results for "{query}" from {date}',
+        'toast.welcome': 'Welcome to Coffee Explorer! ☕',
+        'footer.about': 'About',
+        'footer.contact': 'Contact',
+        'footer.privacy': 'Privacy',
+        'footer.aboutText': 'Coffee Explorer - Discover amazing coffee shops using OpenStreetMap! ☕',
+        'footer.contactText': 'Contact us at: hello@coffeeexplorer.com ☕',
+        'footer.privacyText': 'We respect your privacy. Location data is only used for search and never stored.'
+    },
+
+    fr: {
+        'app.title': 'Coffee Explorer - Trouvez votre café idéal',
+        'app.tagline': 'Découvrez les meilleurs cafés de votre quartier',
+        'app.offline': '📡 Vous êtes hors ligne - affichage des tuiles en cache, des résultats enregistrés et de vos listes',
+        'settings.language': 'Langue',
+        'settings.units': 'Unités',
+        'settings.metric': 'km',
+        'settings.imperial': 'miles',
+        'settings.theme': 'Thème',
+        'settings.themeAuto': 'Thème auto',
+        'settings.themeLight': 'Clair',
+        'settings.themeDark': 'Sombre',
+
+        'carousel.title': 'Explorez les variétés de café',
+        'carousel.subtitle': 'Découvrez différents types de café du monde entier, et choisissez-en un pour trouver les cafés qui le servent',
+        'carousel.servedAt': { one: 'Servi dans {count} café ici', other: 'Servi dans {count} cafés ici' },
+        'carousel.filtered': { one: '{count} café sert : {drink}', other: '{count} cafés servent : {drink}' },
+        'carousel.searchFirst': 'Recherchez un lieu pour trouver les cafés qui servent : {drink}',
+        'carousel.previous': 'Café précédent',
+        'carousel.next': 'Café suivant',
+        'coffee.espresso': 'Expresso',
+        'coffee.espresso.description': 'Un shot de café riche et concentré, au goût intense, surmonté d’une crema onctueuse.',
+        'coffee.cappuccino': 'Cappuccino',
+        'coffee.cappuccino.description': 'L’équilibre parfait entre expresso, lait chaud et mousse de lait épaisse, à parts égales.',
+        'coffee.americano': 'Americano',
+        'coffee.americano.description': 'Expresso allongé d’eau chaude, pour un café plus léger proche du café filtre.',
+        'coffee.mocha': 'Moka',
+        'coffee.mocha.description': 'Un mélange gourmand d’expresso, de sirop de chocolat et de lait chaud, surmonté de chantilly.',
+        'coffee.latte': 'Latte',
+        'coffee.latte.description': 'Un expresso doux avec beaucoup de lait chaud et une fine couche de mousse de lait.',
+        'coffee.hazelnut': 'Noisette',
+        'coffee.hazelnut.description': 'Expresso parfumé à la noisette, riche et gourmand.',
+        'coffee.frappe': 'Frappé',
+        'coffee.frappe.description': 'Café glacé mixé avec du lait, de la glace et de la chantilly.',
+        'coffee.dalgona': 'Café Dalgona',
+        'coffee.dalgona.description': 'Un nuage de café fouetté sur du lait froid.',
+        'facts.cups': 'Milliards de tasses bues chaque jour',
+        'facts.farmers': 'Millions de caféiculteurs dans le monde',
+        'facts.countries': 'Pays producteurs de café',
+        'tips.title': 'Astuces café',
+        'tips.temperature': 'La bonne température',
+        'tips.temperature.text': 'La température d’infusion idéale se situe entre 90 °C et 96 °C (195 °F-205 °F).',
+        'tips.time': 'Temps d’infusion',
+        'tips.time.text': 'Expresso : 25-30 secondes, café filtre : 4-6 minutes, cafetière à piston : 4 minutes.',
+        'tips.ratio': 'Le bon dosage',
+        'tips.ratio.text': 'Comptez 1 g de café pour 15 à 17 g d’eau pour une extraction et des arômes optimaux.',
+        'tips.beans': 'Des grains frais',
+        'tips.beans.text': 'Utilisez vos grains dans les 2 à 4 semaines suivant la torréfaction pour plus de saveur.',
+
+        'search.placeholder': 'Saisissez un lieu (ex. : Paris, Londres, New York...)',
+        'search.find': 'Trouver des cafés',
+        'search.nearMe': 'Autour de moi',
+        'search.enterLocation': 'Veuillez saisir un lieu à rechercher',
+        'search.pickPlace': 'Plusieurs lieux correspondent - choisissez-en un :',
+        'search.found': 'Lieu trouvé : {place}',
+        'search.notFound': 'Lieu introuvable',
+        'search.notFoundHint': 'Vérifiez l’orthographe ou essayez une ville ou un lieu proche.',
+        'search.notFoundToast': 'Lieu introuvable. Essayez une autre recherche.',
+        'search.failed': 'La recherche du lieu a échoué',
+        'search.failedToast': 'La recherche du lieu a échoué. Veuillez réessayer.',
+        'search.loadFailed': 'Impossible de charger les cafés',
+        'search.loadFailedToast': 'Impossible de charger les cafés. Veuillez réessayer.',
+        'search.retry': 'Réessayer',
+        'request.timeout': 'Le serveur met trop de temps à répondre. Il est peut-être surchargé - réessayez dans un instant.',
+        'request.network': 'Impossible de joindre le serveur. Vérifiez votre connexion internet et réessayez.',
+        'request.rateLimited': 'Trop de requêtes en peu de temps. Patientez un instant puis réessayez.',
+        'request.http': 'Le serveur a renvoyé une erreur ({status}). Veuillez réessayer plus tard.',
+        'request.unknown': 'Une erreur est survenue pendant la recherche. Veuillez réessayer.',
+        'geo.unsupported': 'La géolocalisation n’est pas prise en charge par votre navigateur',
+        'geo.unsupportedDefault': 'Géolocalisation non prise en charge. Affichage du lieu par défaut.',
+        'geo.usingDefault': 'Lieu par défaut utilisé. Cliquez sur « Autour de moi » pour utiliser votre position.',
+        'geo.found': 'Position trouvée ! Recherche à proximité...',
+        'geo.foundSearching': 'Position trouvée ! Recherche des cafés à proximité...',
+        'geo.failed': 'Impossible d’obtenir votre position. Vérifiez les autorisations de localisation.',
+
+        'filters.distance': 'Distance',
+        'filters.sortBy': 'Trier par',
+        'filters.sortDistance': 'Distance',
+        'filters.sortName': 'Nom',
+        'filters.sortRating': 'Note',
+        'filters.ratings': 'Notes',
+        'filters.ratingsListed': 'Notes publiées',
+        'filters.ratingsOwn': 'Mes notes',
+        'filters.ratingsBlend': 'Les deux combinées',
+        'filters.openAt': 'Ouvert à',
+        'filters.openAtHint': 'Afficher les horaires à ce moment-là (laisser vide pour maintenant)',
+        'filters.keyword': 'Mot-clé',
+        'filters.keywordPlaceholder': 'ex. : cold brew, viennoiseries...',
+        'filters.minRating': 'Note min. :',
+        'filters.minRatingValue': '{rating}+',
+        'filters.any': 'Toutes',
+        'filters.status': 'Statut',
+        'filters.openNow': 'Ouvert',
+        'filters.openThen': 'Ouvert à ce moment',
+        'filters.specialty': 'Spécialité',
+        'filters.drink': 'Boisson',
+        'filters.anyDrink': 'Toutes les boissons',
+        'filters.amenities': 'Équipements',
+        'filters.clear': 'Effacer les filtres',
+        'filters.matches': { one: '{count} résultat', other: '{count} résultats' },
+        'filters.cafes': { one: '{count} café', other: '{count} cafés' },
+        'specialty.coffee': 'Coffee shop',
+        'specialty.cafe': 'Café',
+        'specialty.bakery': 'Boulangerie',
+        'specialty.roastery': 'Torréfacteur',
+        'amenity.wifi': 'Wi-Fi',
+        'amenity.outlets': 'Prises électriques',
+        'amenity.outdoorSeating': 'Terrasse',
+        'amenity.wheelchair': 'Accessible en fauteuil roulant',
+        'amenity.plantMilk': 'Lait végétal / d’avoine',
+        'amenity.takeawayOnly': 'À emporter uniquement',
+
+        'map.label': 'Carte interactive des cafés',
+        'map.fullscreen': 'Plein écran',
+        'map.center': 'Centrer sur votre position',
+        'map.yourLocation': '📍 Votre position',
+        'map.clusterOpen': '{open} sur {count} ouverts',
+        'map.clusterUnknown': '{count} aux horaires inconnus',
+        'map.loadFailed': 'La carte n’a pas pu se charger. Veuillez actualiser la page.',
+        'map.fullscreenUnsupported': 'Plein écran non pris en charge',
+        'map.centered': 'Carte centrée sur votre position',
+        'map.locationUnavailable': 'Position non disponible',
+        'mapStyle.standard': 'Standard',
+        'mapStyle.light': 'Clair',
+        'mapStyle.dark': 'Sombre',
+        'mapStyle.high-contrast': 'Contraste élevé',
+        'searchArea.search': '🔄 Rechercher dans cette zone',
+        'searchArea.zoomIn': '🔍 Zoomez pour rechercher dans cette zone',
+
+        'results.title': 'Découvertes café',
+        'results.ready': 'Prêt à explorer les cafés de votre quartier !',
+        'results.readyHint': 'Lancez une recherche ci-dessus pour trouver d’excellents cafés',
+        'results.empty': 'Aucun café trouvé',
+        'results.emptyHint': 'Modifiez vos filtres ou cherchez dans un autre secteur',
+        'loading.title': 'Votre recherche infuse...',
+        'loading.hint': 'Recherche des meilleurs cafés à proximité',
+        'stats.found': 'Cafés trouvés',
+        'stats.averageRating': 'Note moyenne',
+        'stats.myAverageRating': 'Ma note moyenne',
+        'stats.blendedRating': 'Note combinée',
+        'stats.openNow': 'Ouverts',
+        'stats.openAt': 'Ouverts {time}',
+        'pagination.previous': '‹ Précédent',
+        'pagination.next': 'Suivant ›',
+        'pagination.pageOf': 'Page {page} sur {total}',
+
+        'heatmap.label': 'Carte de chaleur',
+        'heatmap.off': 'Pas de carte de chaleur',
+        'heatmap.densityOption': 'Chaleur : densité de cafés',
+        'heatmap.ratingOption': 'Chaleur : note moyenne',
+        'heatmap.density': 'Cafés par case',
+        'heatmap.rating': 'Note moyenne',
+        'heatmap.cellSize': 'Cases de {size}',
+        'heatmap.cellCafes': { one: '{count} café', other: '{count} cafés' },
+        'heatmap.cellRating': { one: '{rating} ★ pour {count} café noté', other: '{rating} ★ en moyenne sur {count} cafés notés' },
+        'neighborhood.title': '📊 Statistiques du quartier',
+        'neighborhood.ratings': 'Notes',
+        'neighborhood.unrated': 'Pas de note',
+        'neighborhood.specialties': 'Spécialités',
+        'neighborhood.openByHour': 'Ouverts par heure ({day})',
+        'neighborhood.openByHourLabel': 'Part des cafés ouverts à chaque heure le {day}',
+        'neighborhood.hourDetail': '{time} : {open} ouverts, {closed} fermés, {unknown} inconnus',
+        'neighborhood.nearest': 'Café le plus proche',
+        'neighborhood.median': 'Médiane',
+        'neighborhood.mean': 'Moyenne',
+        'neighborhood.closest': 'Paire la plus proche',
+        'neighborhood.farthest': 'Le plus isolé',
+        'neighborhood.distanceNote': 'Distance à vol d’oiseau entre chaque café et le résultat le plus proche',
+        'neighborhood.needTwo': 'Il faut au moins deux cafés pour mesurer les distances',
+
+        'cafe.noRating': 'Pas de note',
+        'cafe.notAvailable': 'N/D',
+        'cafe.distanceAway': 'à {distance}',
+        'cafe.distance': 'Distance :',
+        'cafe.address': 'Adresse :',
+        'cafe.hours': 'Horaires :',
+        'cafe.menu': 'Carte :',
+        'status.unknown': 'Horaires inconnus',
+        'status.openNow': 'Ouvert',
+        'status.closed': 'Fermé',
+        'status.openAt': 'Ouvert {time}',
+        'status.closedAt': 'Fermé {time}',
+        'hours.notListed': 'Horaires non communiqués',
+        'hours.closed': 'fermé',
+        'hours.allDay': 'ouvert 24 h/24',
+
+        'directions.button': 'Itinéraire',
+        'directions.walk': '🚶 À pied',
+        'directions.bike': '🚲 Vélo',
+        'directions.car': '🚗 Voiture',
+        'directions.to': 'Vers {name}',
+        'directions.close': 'Fermer l’itinéraire',
+        'directions.loading': 'Recherche du meilleur itinéraire...',
+        'directions.noRoute': 'Aucun itinéraire trouvé. Veuillez réessayer plus tard.',
+        'directions.needOrigin': 'Recherchez un lieu ou utilisez « Autour de moi » pour obtenir un itinéraire',
+        'directions.eta': 'Arrivée {time}',
+        'directions.depart': 'Partez',
+        'directions.departOn': 'Partez par {road}',
+        'directions.arrive': 'Vous êtes arrivé au café',
+        'directions.roundabout': 'Au rond-point, prenez la sortie {exit}',
+        'directions.onto': 'sur {road}',
+        'route.type.turn': 'Tournez',
+        'route.type.end of road': 'Tournez',
+        'route.type.continue': 'Continuez',
+        'route.type.new name': 'Continuez',
+        'route.type.merge': 'Rejoignez la voie',
+        'route.type.fork': 'Restez',
+        'route.type.on ramp': 'Prenez la bretelle',
+        'route.type.off ramp': 'Prenez la sortie',
+        'route.type.roundabout turn': 'Au rond-point, tournez',
+        'route.type.exit roundabout': 'Sortez du rond-point',
+        'route.type.exit rotary': 'Sortez du rond-point',
+        'route.type.use lane': 'Empruntez la voie',
+        'route.type.notification': 'Continuez',
+        'route.modifier.uturn': 'demi-tour',
+        'route.modifier.sharp right': 'franchement à droite',
+        'route.modifier.right': 'à droite',
+        'route.modifier.slight right': 'légèrement à droite',
+        'route.modifier.straight': 'tout droit',
+        'route.modifier.slight left': 'légèrement à gauche',
+        'route.modifier.left': 'à gauche',
+        'route.modifier.sharp left': 'franchement à gauche',
+
+        'collections.title': 'Mes listes de cafés',
+        'collections.subtitle': 'Enregistrez des cafés dans vos listes et retrouvez-les sur la carte à tout moment',
+        'collections.list': 'Liste',
+        'collections.show': 'Voir sur la carte',
+        'collections.delete': 'Supprimer la liste',
+        'collections.namePlaceholder': 'Nom de la nouvelle liste (ex. : Pour télétravailler)',
+        'collections.create': 'Créer la liste',
+        'collections.favorites': 'Favoris',
+        'collections.emptyHint': 'Aucun café dans « {name} » pour l’instant. Touchez ♡ sur un café pour l’y enregistrer.',
+        'collections.removeCafe': 'Retirer {name}',
+        'collections.saveFailed': 'Impossible d’enregistrer vos listes dans ce navigateur.',
+        'collections.nameRequired': 'Veuillez saisir un nom pour la nouvelle liste',
+        'collections.nameTaken': 'Une liste nommée « {name} » existe déjà',
+        'collections.created': 'Liste « {name} » créée',
+        'collections.needOne': 'Vous devez garder au moins une liste',
+        'collections.confirmDelete': 'Supprimer la liste « {name} » ?',
+        'collections.empty': 'Cette liste ne contient encore aucun café',
+        'crawl.title': 'Tournée des cafés',
+        'crawl.subtitle': 'Ajoutez des cafés depuis les résultats ou la carte pour obtenir un court trajet qui passe par chacun',
+        'crawl.profile': 'Se déplacer',
+        'crawl.startTime': 'Départ à',
+        'crawl.stay': 'Minutes par arrêt',
+        'crawl.show': 'Voir sur la carte',
+        'crawl.share': 'Partager',
+        'crawl.clear': 'Vider',
+        'crawl.saved': 'Tournées enregistrées',
+        'crawl.open': 'Ouvrir',
+        'crawl.delete': 'Supprimer',
+        'crawl.namePlaceholder': 'Nom de la tournée (ex. : tournée d’équipe du vendredi)',
+        'crawl.save': 'Enregistrer',
+        'crawl.noSaved': 'Aucune tournée enregistrée',
+        'crawl.add': '➕ Ajouter à la tournée',
+        'crawl.inCrawl': '✓ Dans la tournée',
+        'crawl.added': '{name} ajouté à la tournée',
+        'crawl.removed': '{name} retiré de la tournée',
+        'crawl.removeStop': 'Retirer {name} de la tournée',
+        'crawl.full': 'Une tournée compte au plus {count} arrêts',
+        'crawl.emptyHint': 'Aucun arrêt pour l’instant. Utilisez « Ajouter à la tournée » sur un café pour commencer.',
+        'crawl.loading': 'Préparation de votre tournée...',
+        'crawl.fromLocation': 'Départ depuis votre position',
+        'crawl.fromSearch': 'Départ depuis le lieu recherché',
+        'crawl.fromPlan': 'Départ depuis le point de départ de la tournée',
+        'crawl.estimated': 'Calcul d’itinéraire indisponible : distances estimées à vol d’oiseau',
+        'crawl.totalTime': '{duration} au total',
+        'crawl.finish': 'Fin vers {time}',
+        'crawl.arrive': 'arrivée {time}',
+        'crawl.status.open': 'Ouvert pendant votre visite',
+        'crawl.status.closing': 'Ferme avant votre départ',
+        'crawl.status.closed': 'Fermé à votre arrivée',
+        'crawl.status.unknown': 'Horaires inconnus',
+        'crawl.closedWarning': { one: '{count} arrêt est fermé pendant une partie de votre visite', other: '{count} arrêts sont fermés pendant une partie de votre visite' },
+        'crawl.needStops': 'Ajoutez d’abord au moins un café à la tournée',
+        'crawl.nameRequired': 'Veuillez saisir un nom pour la tournée',
+        'crawl.planSaved': 'Tournée « {name} » enregistrée',
+        'crawl.confirmDelete': 'Supprimer la tournée « {name} » ?',
+        'crawl.confirmClear': 'Retirer tous les arrêts de la tournée ?',
+        'crawl.linkCopied': 'Lien vers la tournée copié',
+        'crawl.copyLink': 'Copiez ce lien pour partager la tournée :',
+        'crawl.sharedLoaded': 'Tournée partagée chargée',
+        'crawl.invalidLink': 'Ce lien de tournée n’est pas valide',
+        'crawl.saveFailed': 'Impossible d’enregistrer votre tournée dans ce navigateur.',
+        'favorites.save': 'Enregistrer dans {list}',
+        'favorites.remove': 'Retirer de {list}',
+        'favorites.saved': 'Enregistré dans {list} ♥',
+        'favorites.removed': 'Retiré de {list}',
+
+        'curator.mapButton': 'Mode curateur : ajouter, déplacer et modifier des cafés',
+        'curator.title': 'Mode curateur',
+        'curator.subtitle': 'Corrigez une adresse ou des horaires erronés, déplacez un café mal placé ou cliquez sur la carte pour en ajouter un qui manque. Vos modifications restent dans ce navigateur.',
+        'curator.start': 'Commencer',
+        'curator.stop': 'Arrêter',
+        'curator.undo': 'Annuler',
+        'curator.export': 'Exporter les modifications',
+        'curator.discard': 'Tout abandonner',
+        'curator.emptyHint': 'Aucune modification pour l’instant. Activez le mode curateur, puis cliquez sur la carte pour ajouter un café ou ouvrez un café pour le modifier.',
+        'curator.on': 'Mode curateur activé : cliquez sur la carte pour ajouter un café, faites glisser un marqueur pour le déplacer',
+        'curator.off': 'Mode curateur désactivé',
+        'curator.saveFailed': 'Impossible d’enregistrer vos modifications de cafés dans ce navigateur.',
+        'curator.action.add': 'café ajouté',
+        'curator.action.edit': 'détails modifiés',
+        'curator.action.move': 'café déplacé',
+        'curator.action.revert': 'café rétabli',
+        'curator.undone': 'Annulé : {action}',
+        'curator.added': '{name} ajouté',
+        'curator.addedOutside': '{name} ajouté. Il ne fait pas partie des résultats affichés : lancez une recherche à cet endroit pour le voir.',
+        'curator.saved': 'Modifications de {name} enregistrées',
+        'curator.moved': '{name} déplacé',
+        'curator.noChanges': 'Rien n’a été modifié',
+        'curator.editDetails': 'Modifier les détails',
+        'curator.revert': 'Annuler mes modifications',
+        'curator.remove': 'Supprimer le café',
+        'curator.revertCafe': 'Annuler vos modifications de {name}',
+        'curator.removeCafe': 'Supprimer {name}',
+        'curator.confirmRevert': 'Annuler toutes vos modifications de {name} ?',
+        'curator.confirmRemove': 'Supprimer {name}, que vous avez ajouté ?',
+        'curator.confirmDiscard': 'Abandonner tous les cafés ajoutés ou modifiés ? Cette action est définitive.',
+        'curator.reverted': '{name} rétabli',
+        'curator.removed': '{name} supprimé',
+        'curator.discarded': 'Toutes les modifications de cafés ont été abandonnées',
+        'curator.badgeAdded': 'Ajouté par vous',
+        'curator.badgeEdited': 'Modifié par vous',
+        'curator.addedHere': 'Ajouté au {address}',
+        'curator.changed': 'Modifié : {fields}',
+        'curator.newTitle': 'Nouveau café',
+        'curator.editTitle': 'Modifier le café',
+        'curator.field.name': 'Nom',
+        'curator.field.address': 'Adresse',
+        'curator.field.lat': 'Latitude',
+        'curator.field.lng': 'Longitude',
+        'curator.field.position': 'Position',
+        'curator.field.specialty': 'Type',
+        'curator.field.rating': 'Note (0-5)',
+        'curator.field.hours': 'Horaires d’ouverture',
+        'curator.field.phone': 'Téléphone',
+        'curator.field.website': 'Site web',
+        'curator.field.amenities': 'Équipements',
+        'curator.field.description': 'Description',
+        'curator.field.menu': 'Carte',
+        'curator.field.currency': 'Devise',
+        'curator.hoursPlaceholder': 'Mo-Fr 07:00-18:00; Sa 08:00-14:00',
+        'curator.price': 'Prix',
+        'curator.priceOf': 'Prix : {drink}',
+        'curator.save': 'Enregistrer le café',
+        'curator.invalidCurrency': 'la devise doit être un code à 3 lettres comme EUR, reçu « {value} »',
+        'curator.nothingToExport': 'Vous n’avez ajouté ni modifié aucun café',
+        'curator.exported': { one: '{count} café modifié exporté', other: '{count} cafés modifiés exportés' },
+
+        'reviews.yours': 'Votre avis',
+        'reviews.yourRating': 'Votre note :',
+        'reviews.visited': 'Visité le {date}',
+        'reviews.write': 'Donner mon avis',
+        'reviews.edit': 'Modifier l’avis',
+        'reviews.delete': 'Supprimer l’avis',
+        'reviews.ratingLabel': 'Votre note',
+        'reviews.stars': { one: '{count} étoile', other: '{count} étoiles' },
+        'reviews.visitedOn': 'Date de visite',
+        'reviews.placeholder': 'Comment s’est passée votre visite ?',
+        'reviews.save': 'Enregistrer l’avis',
+        'reviews.cancel': 'Annuler',
+        'reviews.saved': 'Avis enregistré ✎',
+        'reviews.deleted': 'Avis supprimé',
+        'reviews.confirmDelete': 'Supprimer votre avis sur ce café ?',
+        'reviews.pickRating': 'Veuillez choisir une note',
+        'reviews.saveFailed': 'Impossible d’enregistrer vos avis dans ce navigateur.',
+        'reviews.tag.laptops': 'Idéal pour travailler',
+        'reviews.tag.quiet': 'Calme',
+        'reviews.tag.groups': 'Idéal en groupe',
+        'reviews.tag.coffee': 'Excellent café',
+        'reviews.tag.food': 'Très bonne cuisine',
+        'reviews.tag.staff': 'Personnel sympathique',
+        'reviews.tag.pricey': 'Cher',
+
+        'export.format': 'Format d’export',
+        'export.button': '⬇ Exporter les résultats',
+        'export.empty': 'Aucun café à exporter',
+        'export.done': { one: '{count} café exporté au format {format}', other: '{count} cafés exportés au format {format}' },
+        'import.button': '⬆ Importer un fichier',
+        'import.done': { one: '{count} café importé depuis {file}', other: '{count} cafés importés depuis {file}' },
+        'import.failed': 'Impossible d’importer {file}',
+        'import.noCafes': 'Aucun café valide dans {file}',
+        'import.readFailed': 'Impossible de lire {file}',
+        'import.invalidJson': 'Le fichier n’est pas un JSON valide',
+        'import.notFeatureCollection': 'Une FeatureCollection GeoJSON est attendue',
+        'import.notPoint': 'la géométrie doit être un Point',
+        'import.csvTooShort': 'Le fichier CSV doit contenir une ligne d’en-tête et au moins un café',
+        'import.csvColumns': 'L’en-tête CSV doit contenir les colonnes name, lat et lng',
+        'import.invalidGpx': 'Le fichier n’est pas un GPX/XML valide',
+        'import.noWaypoints': 'Aucun point de passage (<wpt>) dans le fichier GPX',
+        'import.feature': 'Entité',
+        'import.row': 'Ligne',
+        'import.waypoint': 'Point',
+        'import.recordError': '{record} {number} : {problems}',
+        'import.nameMissing': 'le nom est manquant',
+        'import.invalidLatitude': 'latitude invalide « {value} »',
+        'import.invalidLongitude': 'longitude invalide « {value} »',
+        'import.invalidRating': 'la note doit être comprise entre 0 et 5, reçu « {value} »',
+        'import.unknownSpecialty': 'spécialité inconnue « {value} »',
+        'import.unknownAmenity': 'équipement inconnu « {value} »',
+        'import.unknownDrink': 'boisson inconnue au menu « {value} »',
+        'import.invalidPrice': 'prix invalide au menu pour « {value} »',
+        'import.summary': '{file} : {imported} importé(s), {skipped} ignoré(s)',
+        'import.moreErrors': { one: '...et {count} autre', other: '...et {count} autres' },
+        'import.dismiss': 'Fermer le rapport d’import',
+
+        'offline.backOnline': 'De nouveau en ligne ☕',
+        'offline.nowOffline': 'Vous êtes hors ligne. Affichage des données enregistrées si possible.',
+        'offline.noSavedResults': 'Vous êtes hors ligne et aucun résultat n’a encore été enregistré.',
+        'offline.savedResults': 'Résultats enregistrés le {date}',
+        'offline.savedResultsFor': 'Résultats enregistrés pour « {query} » le {date}',
+        'toast.welcome': 'Bienvenue sur Coffee Explorer ! ☕',
+        'footer.about': 'À propos',
+        'footer.contact': 'Contact',
+        'footer.privacy': 'Confidentialité',
+        'footer.aboutText': 'Coffee Explorer - Découvrez d’excellents cafés grâce à OpenStreetMap ! ☕',
+        'footer.contactText': 'Écrivez-nous : hello@coffeeexplorer.com ☕',
+        'footer.privacyText': 'Nous respectons votre vie privée. Votre position sert uniquement à la recherche et n’est jamais enregistrée.'
+    }
+};
@@ -6,17 +6,78 @@
 // Global Variables
 let map;
 let markers = [];
+let markerLayer = null;
+let markersByKey = new Map();
+let markersFittedFor = null;
 let cafes = [];
 let userLocation = null;
+let searchCenter = null;
+let loadedRadius = 0;
+let lastSearchOptions = {};
+let searchQuery = '';
+let selectedCafeId = null;
+let pendingUrlState = null;
+let isRestoringUrlState = false;
+let locationSuggestions = [];
+let highlightedSuggestion = -1;
+let isPlaceChooserOpen = false;
+let suggestionDebounceTimer = null;
+let suggestionController = null;
+let routeLayer = null;
+let directionsTarget = null;
+let directionsProfile = 'walk';
+let directionsController = null;
+let directionsPanelState = null;
+let collections = [];
+let activeCollectionId = 'favorites';
+let crawl = null;
+let savedCrawls = [];
+let crawlRoute = null;
+let crawlController = null;
+let crawlLayer = null;
+let heatmapMode = 'off';
+let heatmapLayer = null;
+let heatmapLegend = null;
+let sourceCafes = [];
+let cafeEdits = {};
+let editHistory = [];
+let isCurating = false;
+let newCafePopup = null;
+let isPopupOpen = false;
+let clickClosesPopup = false;
+let reviews = {};
+let ratingSource = 'source';
+let language = 'en';
+let unitSystem = 'metric';
+let theme = 'auto';
+let mapStyle = null;
+let mapStyleLayers = {};
+let mapStyleControl = null;
+let radiusCircle = null;
+let searchBounds = null;
+let mapMovedByUser = false;
 let currentCarouselIndex = 0;
 let currentPage = 1;
 let itemsPerPage = 9;
 let filteredCafes = [];
 
+// App configuration - can be overridden by defining window.MOCHAMAP_CONFIG before script.js loads
+const appConfig = Object.assign({
+    cafeProvider: 'overpass',
+    overpassUrl: 'https://overpass-api.de/api/interpreter',
+    geocoderUrl: 'https://nominatim.openstreetmap.org',
+    routingUrl: 'https://router.project-osrm.org',
+    routingProfiles: { walk: 'foot', bike: 'bike', car: 'driving' },
+    requestTimeout: 15000, // ms per attempt
+    requestRetries: 2, // extra attempts after a timeout, network error or 5xx/429 response
+    mapStyles: {} // per-style overrides of DEFAULT_MAP_STYLES, e.g. { standard: { url: 'https://tiles.example.com/{z}/{x}/{y}.png' } }
+}, window.MOCHAMAP_CONFIG || {});
+
 // Coffee shop mock data with realistic coordinates around major cities
 const mockCafes = [
     // New York City Area
     {
+        id: "mock:the-roasted-bean",
         name: "The Roasted Bean",
         lat: 40.7589,
         lng: -73.9851,
@@ -25,10 +86,19 @@ const mockCafes = [
         specialty: "coffee",
         description: "Artisanal coffee roasted on-site daily with single-origin beans",
         hours: "6:00 AM - 8:00 PM",
-        isOpen: true,
-        phone: "(555) 123-4567"
+        phone: "(555) 123-4567",
+        currency: "USD",
+        amenities: ["wifi", "outlets", "wheelchair", "plantMilk"],
+        menu: [
+            { drink: "espresso", price: 3.25 },
+            { drink: "americano", price: 3.75 },
+            { drink: "cappuccino", price: 4.5 },
+            { drink: "latte", price: 4.75 },
+            { drink: "dalgona", price: 5.5 }
+        ]
     },
     {
+        id: "mock:brew-beans-cafe",
         name: "Brew & Beans Cafe",
         lat: 40.7614,
         lng: -73.9776,
@@ -37,10 +107,19 @@ const mockCafes = [
         specialty: "cafe",
         description: "Cozy atmosphere with fresh pastries and specialty drinks",
         hours: "7:00 AM - 9:00 PM",
-        isOpen: true,
-        phone: "(555) 234-5678"
+        phone: "(555) 234-5678",
+        currency: "USD",
+        amenities: ["wifi", "outdoorSeating", "plantMilk"],
+        menu: [
+            { drink: "espresso", price: 3 },
+            { drink: "latte", price: 4.5 },
+            { drink: "mocha", price: 5.25 },
+            { drink: "hazelnut", price: 4.75 },
+            { drink: "frappe", price: 5.75 }
+        ]
     },
     {
+        id: "mock:espresso-central",
         name: "Espresso Central",
         lat: 40.7505,
         lng: -73.9934,
@@ -49,10 +128,18 @@ const mockCafes = [
         specialty: "coffee",
         description: "Premium espresso bar with award-winning baristas",
         hours: "5:30 AM - 7:00 PM",
-        isOpen: false,
-        phone: "(555) 345-6789"
+        phone: "(555) 345-6789",
+        currency: "USD",
+        amenities: ["plantMilk", "takeawayOnly"],
+        menu: [
+            { drink: "espresso", price: 3.5 },
+            { drink: "americano", price: 4 },
+            { drink: "cappuccino", price: 4.75 },
+            { drink: "latte", price: 5 }
+        ]
     },
     {
+        id: "mock:morning-glory-bakery",
         name: "Morning Glory Bakery",
         lat: 40.7484,
         lng: -73.9857,
@@ -61,10 +148,18 @@ const mockCafes = [
         specialty: "bakery",
         description: "Fresh coffee and homemade pastries baked daily",
         hours: "6:30 AM - 3:00 PM",
-        isOpen: true,
-        phone: "(555) 456-7890"
+        phone: "(555) 456-7890",
+        currency: "USD",
+        amenities: ["outdoorSeating", "wheelchair"],
+        menu: [
+            { drink: "espresso", price: 2.75 },
+            { drink: "cappuccino", price: 4 },
+            { drink: "latte", price: 4.25 },
+            { drink: "hazelnut" }
+        ]
     },
     {
+        id: "mock:dark-roast-roastery",
         name: "Dark Roast Roastery",
         lat: 40.7549,
         lng: -73.9707,
@@ -73,11 +168,19 @@ const mockCafes = [
         specialty: "roastery",
         description: "Local roastery specializing in custom blends and single origins",
         hours: "8:00 AM - 6:00 PM",
-        isOpen: true,
-        phone: "(555) 567-8901"
+        phone: "(555) 567-8901",
+        currency: "USD",
+        amenities: ["wifi", "outlets"],
+        menu: [
+            { drink: "espresso", price: 3.25 },
+            { drink: "americano", price: 3.5 },
+            { drink: "mocha", price: 5 },
+            { drink: "frappe" }
+        ]
     },
     // London Area (for testing location search)
     {
+        id: "mock:london-coffee-house",
         name: "London Coffee House",
         lat: 51.5074,
         lng: -0.1278,
@@ -86,11 +189,20 @@ const mockCafes = [
         specialty: "cafe",
         description: "Traditional British coffee house with modern twist",
         hours: "7:00 AM - 8:00 PM",
-        isOpen: true,
-        phone: "+44 20 1234 5678"
+        phone: "+44 20 1234 5678",
+        currency: "GBP",
+        amenities: ["wifi", "outlets", "wheelchair", "plantMilk"],
+        menu: [
+            { drink: "espresso", price: 2.6 },
+            { drink: "americano", price: 3.1 },
+            { drink: "cappuccino", price: 3.6 },
+            { drink: "latte", price: 3.7 },
+            { drink: "mocha", price: 3.95 }
+        ]
     },
     // Paris Area
     {
+        id: "mock:cafe-de-paris",
         name: "Café de Paris",
         lat: 48.8566,
         lng: 2.3522,
@@ -99,8 +211,15 @@ const mockCafes = [
         specialty: "cafe",
         description: "Classic Parisian café experience with excellent coffee",
         hours: "6:00 AM - 10:00 PM",
-        isOpen: true,
-        phone: "+33 1 23 45 67 89"
+        phone: "+33 1 23 45 67 89",
+        currency: "EUR",
+        amenities: ["wifi", "outdoorSeating"],
+        menu: [
+            { drink: "espresso", price: 2.5 },
+            { drink: "cappuccino", price: 4.5 },
+            { drink: "latte", price: 4.8 },
+            { drink: "dalgona" }
+        ]
     }
 ];
 
@@ -115,9 +234,41 @@ document.addEventListener('DOMContentLoaded', function() {
  * Initialize the main application
  */
 function initializeApp() {
+    theme = loadTheme();
+    mapStyle = loadMapStyle();
+    applyTheme();
+    document.getElementById('themeSelect').value = theme;
+    heatmapMode = loadHeatmapMode();
+    document.getElementById('heatmapMode').value = heatmapMode;
+    language = loadLanguage();
+    unitSystem = loadUnitSystem();
+    document.getElementById('languageSelect').value = language;
+    document.getElementById('unitSystem').value = unitSystem;
+    applyTranslations();
+    renderCoffeeCarousel();
+    renderDrinkOptions();
+    renderAmenityFilter();
+    updateRadiusOptions();
+    updateFacetLabels();
+    collections = loadCollections();
+    renderCollectionsPanel();
+    crawl = loadCrawl();
+    savedCrawls = loadSavedCrawls();
+    syncCrawlSettings();
+    ({ cafes: cafeEdits, history: editHistory } = loadCafeEdits());
+    renderCuratorPanel();
+    reviews = loadReviews();
+    ratingSource = loadRatingSource();
+    document.getElementById('ratingSource').value = ratingSource;
+    updateRatingLabel();
     initMap();
+    planCrawl();
     setupFactAnimation();
-    showToast('Welcome to Coffee Explorer! ☕', 'success');
+    setupOfflineSupport();
+    setupEmbedding();
+    if (!isEmbedded) {
+        showToast(t('toast.welcome'), 'success');
+    }
 }
 
 /**
@@ -127,54 +278,90 @@ function initMap() {
     try {
         // Default to New York City
         const defaultLocation = [40.7589, -73.9851];
+        const urlState = readUrlState();
+        const isRestoring = hasUrlSearchState(urlState);
         
         map = L.map('map', {
             zoomControl: false,
             attributionControl: true
-        }).setView(defaultLocation, 13);
+        });
+        
+        if (urlState.view) {
+            map.setView([urlState.view.lat, urlState.view.lng], urlState.view.zoom);
+        } else {
+            map.setView(defaultLocation, 13);
+        }
 
         // Add custom zoom control
         L.control.zoom({
             position: 'bottomright'
         }).addTo(map);
 
-        // Add OpenStreetMap tiles
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors',
-            maxZoom: 19
-        }).addTo(map);
+        // Tile layers for each map style, with a switcher
+        setupMapStyles();
+        
+        // Keep the map view in the URL and follow back/forward navigation
+        map.on('moveend', () => updateUrlState());
+        setupSearchAreaPrompt();
+        // In curator mode a click on the map adds a cafe there, unless it only closes a popup.
+        // Popups close on preclick, so whether one was open is noted before they handle it.
+        map.on('popupopen', () => { isPopupOpen = true; });
+        map.on('popupclose', () => { isPopupOpen = false; });
+        map.on('preclick', () => { clickClosesPopup = isPopupOpen; });
+        map.on('click', handleMapClick);
+        window.addEventListener('popstate', () => restoreUrlState(readUrlState()));
+        
+        // A shared link takes precedence over the automatic location search
+        if (isRestoring) {
+            restoreUrlState(urlState);
+        }
+
+        // Any search the user starts while we wait for a position takes precedence
+        const initialSearch = isRestoring ? null : searchController.start();
 
         // Try to get user's current location
         if (navigator.geolocation) {
             navigator.geolocation.getCurrentPosition(
                 (position) => {
                     userLocation = [position.coords.latitude, position.coords.longitude];
-                    map.setView(userLocation, 13);
                     
                     // Add user location marker
                     addUserLocationMarker(userLocation);
                     
+                    // A crawl planned before the position was known starts from here now
+                    if (crawl.stops.length > 0 && !crawl.start) {
+                        planCrawl();
+                    }
+                    
+                    if (!searchController.isCurrent(initialSearch)) return;
+                    
+                    map.setView(userLocation, 13);
+                    
                     // Auto-search nearby cafes after a delay
                     setTimeout(() => {
+                        if (!searchController.isCurrent(initialSearch)) return;
+                        searchQuery = '';
                         searchNearbyPlaces(userLocation);
                     }, 1000);
                     
-                    showToast('Location found! Searching for nearby cafes...', 'success');
+                    showToast(t('geo.foundSearching'), 'success');
                 },
                 (error) => {
                     console.log('Geolocation failed:', error);
+                    if (!searchController.isCurrent(initialSearch)) return;
+                    
                     // Load default cafes for demo
                     loadMockCafes(defaultLocation);
-                    showToast('Using default location. Click "Near Me" to use your location.', 'info');
+                    showToast(t('geo.usingDefault'), 'info');
                 }
             );
-        } else {
+        } else if (!isRestoring) {
             loadMockCafes(defaultLocation);
-            showToast('Geolocation not supported. Showing default location.', 'info');
+            showToast(t('geo.unsupportedDefault'), 'info');
         }
     } catch (error) {
         console.error('Map initialization error:', error);
-        showToast('Map failed to load. Please refresh the page.', 'error');
+        showToast(t('map.loadFailed'), 'error');
     }
 }
 
@@ -191,30 +378,14 @@ function addUserLocationMarker(location) {
     
     L.marker(location, { icon: userIcon })
         .addTo(map)
-        .bindPopup('<div style="text-align: center; font-weight: bold; color: #3C2415; padding: 5px;">📍 Your Location</div>');
+        .bindPopup(() => String(html`<div style="text-align: center; font-weight: bold; color: var(--text-color); padding: 5px;">${t('map.yourLocation')}</div>`));
 }
 
 /**
- * Load mock cafes for demonstration
+ * Load the curated demo cafes around a location
  */
 function loadMockCafes(centerLocation) {
-    // Filter cafes near the center location (within reasonable distance)
-    const nearbyCafes = mockCafes.filter(cafe => {
-        const distance = calculateDistance(centerLocation[0], centerLocation[1], cafe.lat, cafe.lng);
-        return distance < 50; // Within 50km for demo purposes
-    });
-    
-    if (nearbyCafes.length === 0) {
-        // If no nearby cafes, use the first few cafes and add some randomization
-        const baseCafes = mockCafes.slice(0, 5).map(cafe => ({
-            ...cafe,
-            lat: centerLocation[0] + (Math.random() - 0.5) * 0.02,
-            lng: centerLocation[1] + (Math.random() - 0.5) * 0.02
-        }));
-        displayCafes(baseCafes);
-    } else {
-        displayCafes(nearbyCafes);
-    }
+    searchNearbyPlaces(centerLocation, { curated: true });
 }
 
 /**
@@ -224,43 +395,265 @@ async function searchCafes() {
     const locationInput = document.getElementById('locationInput').value.trim();
     
     if (!locationInput) {
-        showToast('Please enter a location to search', 'error');
+        showToast(t('search.enterLocation'), 'error');
         return;
     }
 
-    showLoadingOverlay(true);
+    hideLocationSuggestions();
+    const search = searchController.start(() => searchCafes());
+    searchController.showOverlay(search);
     
     try {
-        // Use Nominatim API for geocoding (free alternative to Google Geocoding)
-        const geocodeUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(locationInput)}&limit=1`;
-        
-        const response = await fetch(geocodeUrl);
-        const data = await response.json();
+        const places = await geocode(locationInput, 5, search.signal);
+        if (!searchController.isCurrent(search)) return;
+        searchController.hideOverlay(search);
         
-        if (data.length > 0) {
-            const location = [parseFloat(data[0].lat), parseFloat(data[0].lon)];
-            map.setView(location, 13);
-            
-            // Clear previous user marker and add new one
-            clearUserMarker();
-            addUserLocationMarker(location);
-            
-            searchNearbyPlaces(location);
-            showToast(`Found location: ${data[0].display_name.split(',').slice(0, 2).join(', ')}`, 'success');
+        if (places.length === 1) {
+            goToPlace(places[0], locationInput);
+        } else if (places.length > 1) {
+            // Several places match - let the user pick instead of guessing
+            showLocationSuggestions(places, true);
         } else {
-            throw new Error('Location not found');
+            searchController.fail(search, t('search.notFound'), t('search.notFoundHint'));
+            showToast(t('search.notFoundToast'), 'error');
         }
     } catch (error) {
+        if (!searchController.isCurrent(search)) return;
         console.error('Geocoding error:', error);
-        showToast('Location not found. Please try a different search term.', 'error');
         
-        // Fallback: show default cafes
-        const defaultLocation = [40.7589, -73.9851];
-        map.setView(defaultLocation, 13);
-        loadMockCafes(defaultLocation);
+        if (!navigator.onLine) {
+            searchController.finish(search);
+            showSavedResults();
+            return;
+        }
+        
+        searchController.fail(search, t('search.failed'), describeRequestError(error));
+        showToast(t('search.failedToast'), 'error');
+    } finally {
+        searchController.hideOverlay(search);
+    }
+}
+
+/**
+ * Center the map on a geocoded place and search around it
+ */
+function goToPlace(place, query) {
+    const location = [parseFloat(place.lat), parseFloat(place.lon)];
+    map.setView(location, 13);
+    
+    // Clear previous user marker and add new one
+    clearUserMarker();
+    addUserLocationMarker(location);
+    
+    searchQuery = query;
+    searchNearbyPlaces(location);
+    showToast(t('search.found', { place: place.display_name.split(',').slice(0, 2).join(', ') }), 'success');
+}
+
+/**
+ * Geocoding
+ * Nominatim asks for at most one request per second, so requests are queued and spaced out,
+ * and responses are cached in memory and in localStorage.
+ */
+const GEOCODE_CACHE_KEY = 'mochamap.geocodeCache';
+const GEOCODE_CACHE_MAX_ENTRIES = 100;
+const GEOCODE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const GEOCODE_MIN_INTERVAL = 1000;
+const geocodeCache = loadGeocodeCache();
+let geocodeQueue = Promise.resolve();
+let lastGeocodeRequestAt = 0;
+
+function loadGeocodeCache() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(GEOCODE_CACHE_KEY)) || {};
+        const now = Date.now();
+        return new Map(Object.entries(stored).filter(([, entry]) => now - entry.time < GEOCODE_CACHE_TTL));
+    } catch (error) {
+        return new Map();
+    }
+}
+
+function saveGeocodeCache() {
+    // Keep only the most recent entries
+    const entries = [...geocodeCache.entries()]
+        .sort((a, b) => b[1].time - a[1].time)
+        .slice(0, GEOCODE_CACHE_MAX_ENTRIES);
+    
+    try {
+        localStorage.setItem(GEOCODE_CACHE_KEY, JSON.stringify(Object.fromEntries(entries)));
+    } catch (error) {
+        console.error('Could not persist geocoder cache:', error);
+    }
+}
+
+/**
+ * Look up places matching a query, using the cache when possible
+ */
+function geocode(query, limit = 5, signal) {
+    const cacheKey = `${language}|${limit}|${query.toLowerCase()}`;
+    const cached = geocodeCache.get(cacheKey);
+    if (cached) {
+        return Promise.resolve(cached.places);
+    }
+    
+    const request = geocodeQueue.then(async () => {
+        const wait = lastGeocodeRequestAt + GEOCODE_MIN_INTERVAL - Date.now();
+        if (wait > 0) {
+            await delay(wait, signal);
+        }
+        // Don't spend a request slot on a lookup nobody is waiting for any more
+        if (signal && signal.aborted) {
+            throw createRequestError('Request cancelled', 'aborted');
+        }
+        lastGeocodeRequestAt = Date.now();
+        
+        const geocodeUrl = `${appConfig.geocoderUrl.replace(/\/$/, '')}/search?format=json&q=${encodeURIComponent(query)}&limit=${limit}&accept-language=${language}`;
+        const response = await fetchWithRetry(geocodeUrl, {}, { signal: signal });
+        
+        const data = await response.json();
+        const places = data.map(place => ({
+            display_name: place.display_name,
+            lat: place.lat,
+            lon: place.lon,
+            type: place.type
+        }));
+        
+        geocodeCache.set(cacheKey, { time: Date.now(), places: places });
+        saveGeocodeCache();
+        return places;
+    });
+    
+    // Keep the queue going even if this request fails
+    geocodeQueue = request.catch(() => {});
+    return request;
+}
+
+/**
+ * Type-ahead suggestions for the location input
+ */
+function handleLocationInput() {
+    clearTimeout(suggestionDebounceTimer);
+    const query = document.getElementById('locationInput').value.trim();
+    
+    if (query.length < 3) {
+        hideLocationSuggestions();
+        return;
+    }
+    
+    suggestionDebounceTimer = setTimeout(async () => {
+        if (suggestionController) suggestionController.abort();
+        const controller = new AbortController();
+        suggestionController = controller;
+        
+        try {
+            const places = await geocode(query, 5, controller.signal);
+            
+            // Drop suggestions for text the user has already changed
+            if (document.getElementById('locationInput').value.trim() !== query) return;
+            showLocationSuggestions(places, false);
+        } catch (error) {
+            if (error.kind !== 'aborted') {
+                console.error('Suggestion lookup failed:', error);
+            }
+        }
+    }, 400);
+}
+
+function showLocationSuggestions(places, isChooser) {
+    const list = document.getElementById('locationSuggestions');
+    if (isPlaceChooserOpen && !isChooser) {
+        hideLocationSuggestions();
+    }
+    locationSuggestions = places;
+    highlightedSuggestion = -1;
+    
+    if (places.length === 0) {
+        hideLocationSuggestions();
+        return;
+    }
+    
+    const heading = isChooser ? html`<li class="suggestion-heading" role="presentation">${t('search.pickPlace')}</li>` : '';
+    list.innerHTML = html`${heading}${places.map((place, index) => html`
+        <li class="suggestion-item" id="suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+            <span class="suggestion-name">${place.display_name.split(',')[0]}</span>
+            <span class="suggestion-detail">${place.display_name.split(',').slice(1).join(',').trim()}</span>
+        </li>
+    `)}`;
+    list.style.display = 'block';
+    document.getElementById('locationInput').setAttribute('aria-expanded', 'true');
+    isPlaceChooserOpen = isChooser;
+}
+
+function hideLocationSuggestions() {
+    const list = document.getElementById('locationSuggestions');
+    list.style.display = 'none';
+    list.innerHTML = '';
+    locationSuggestions = [];
+    highlightedSuggestion = -1;
+    document.getElementById('locationInput').setAttribute('aria-expanded', 'false');
+    document.getElementById('locationInput').removeAttribute('aria-activedescendant');
+    
+    // Closing the place chooser without a pick drops a shared link that was waiting on it
+    if (isPlaceChooserOpen) {
+        isPlaceChooserOpen = false;
+        cancelUrlStateRestore();
     }
+}
+
+function highlightLocationSuggestion(index) {
+    const items = document.querySelectorAll('#locationSuggestions .suggestion-item');
+    if (items.length === 0) return;
+    
+    highlightedSuggestion = (index + items.length) % items.length;
+    items.forEach((item, itemIndex) => {
+        const active = itemIndex === highlightedSuggestion;
+        item.classList.toggle('active', active);
+        item.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+    document.getElementById('locationInput').setAttribute('aria-activedescendant', `suggestion-${highlightedSuggestion}`);
+}
+
+function chooseLocationSuggestion(index) {
+    const place = locationSuggestions[index];
+    if (!place) return;
+    
+    const input = document.getElementById('locationInput');
+    clearTimeout(suggestionDebounceTimer);
+    input.value = place.display_name.split(',').slice(0, 2).join(',').trim();
+    isPlaceChooserOpen = false;
+    hideLocationSuggestions();
+    goToPlace(place, input.value);
+}
+
+function handleLocationKeydown(e) {
+    const isOpen = locationSuggestions.length > 0;
     
-    showLoadingOverlay(false);
+    switch (e.key) {
+        case 'ArrowDown':
+            if (isOpen) {
+                e.preventDefault();
+                highlightLocationSuggestion(highlightedSuggestion + 1);
+            }
+            break;
+        case 'ArrowUp':
+            if (isOpen) {
+                e.preventDefault();
+                highlightLocationSuggestion(highlightedSuggestion - 1);
+            }
+            break;
+        case 'Enter':
+            e.preventDefault();
+            if (isOpen && highlightedSuggestion >= 0) {
+                chooseLocationSuggestion(highlightedSuggestion);
+            } else {
+                clearTimeout(suggestionDebounceTimer);
+                searchCafes();
+            }
+            break;
+        case 'Escape':
+            hideLocationSuggestions();
+            break;
+    }
 }
 
 /**
@@ -268,28 +661,36 @@ async function searchCafes() {
  */
 function findNearby() {
     if (!navigator.geolocation) {
-        showToast('Geolocation is not supported by your browser', 'error');
+        showToast(t('geo.unsupported'), 'error');
         return;
     }
 
-    showLoadingOverlay(true);
+    const search = searchController.start(() => findNearby());
+    searchController.showOverlay(search);
     
     navigator.geolocation.getCurrentPosition(
         (position) => {
+            searchController.hideOverlay(search);
+            if (!searchController.isCurrent(search)) return;
+            
             userLocation = [position.coords.latitude, position.coords.longitude];
             map.setView(userLocation, 14);
             
             clearUserMarker();
             addUserLocationMarker(userLocation);
             
+            searchQuery = '';
             searchNearbyPlaces(userLocation);
-            showToast('Found your location! Searching nearby...', 'success');
-            showLoadingOverlay(false);
+            showToast(t('geo.found'), 'success');
         },
         (error) => {
+            searchController.hideOverlay(search);
+            if (!searchController.isCurrent(search)) return;
+            
             console.error('Geolocation error:', error);
-            showToast('Unable to get your location. Please check location permissions.', 'error');
-            showLoadingOverlay(false);
+            // The results on screen are still valid, so only report the failure
+            searchController.finish(search);
+            showToast(t('geo.failed'), 'error');
         },
         {
             enableHighAccuracy: true,
@@ -300,411 +701,4876 @@ function findNearby() {
 }
 
 /**
- * Search for nearby places (mock implementation)
+ * Search controller
+ * Only one search is active at a time. Starting a search aborts the one before it, and every
+ * asynchronous step checks isCurrent() before touching shared state, so the search the user
+ * started last is always the one whose results are shown.
  */
-function searchNearbyPlaces(location) {
-    showLoading(true);
+const searchController = {
+    active: null,
+    overlayOwner: null,
+    lastAction: null,
     
-    // Simulate API delay
-    setTimeout(() => {
-        // Create some mock cafes around the location
-        const nearbyMockCafes = generateNearbyMockCafes(location);
-        displayCafes(nearbyMockCafes);
-        showLoading(false);
-    }, 1500);
+    /**
+     * Begin a search, aborting any search still in flight. retryAction re-runs it from the error state.
+     */
+    start(retryAction) {
+        if (this.active) {
+            this.active.controller.abort();
+        }
+        const controller = new AbortController();
+        this.active = { controller: controller, signal: controller.signal };
+        if (retryAction) {
+            this.lastAction = retryAction;
+        }
+        return this.active;
+    },
+    
+    isCurrent(search) {
+        return search != null && search === this.active;
+    },
+    
+    finish(search) {
+        if (this.isCurrent(search)) {
+            this.active = null;
+        }
+    },
+    
+    /**
+     * Abort the active search without starting a new one (saved lists, imports, offline results)
+     */
+    cancel() {
+        if (this.active) {
+            this.active.controller.abort();
+            this.active = null;
+        }
+    },
+    
+    /**
+     * End a search with an error state in the results area
+     */
+    fail(search, title, message) {
+        if (!this.isCurrent(search)) return;
+        this.active = null;
+        showSearchError(title, message);
+    },
+    
+    retry() {
+        if (this.lastAction) {
+            this.lastAction();
+        }
+    },
+    
+    // The overlay belongs to the search that showed it, so a superseded search can't hide a newer one's
+    showOverlay(search) {
+        this.overlayOwner = search;
+        showLoadingOverlay(true);
+    },
+    
+    hideOverlay(search) {
+        if (this.overlayOwner === search) {
+            this.overlayOwner = null;
+            showLoadingOverlay(false);
+        }
+    }
+};
+
+function retrySearch() {
+    searchController.retry();
 }
 
 /**
- * Generate mock cafes around a given location
+ * Network requests
+ * fetchWithRetry() adds a per-attempt timeout and a bounded number of retries with exponential
+ * backoff. Timeouts, network errors and 5xx/429 responses are retried; other HTTP errors are not.
+ * Failures are Errors with a kind of 'aborted', 'timeout', 'network' or 'http'.
  */
-function generateNearbyMockCafes(centerLocation) {
-    const cafeNames = [
-        "The Coffee Corner", "Bean There Done That", "Grind Coffee Co.", 
-        "Steam & Beans", "Café Mocha", "The Daily Grind", "Roast Masters",
-        "Brew House", "Coffee Culture", "The Espresso Bar", "Latte Art Café",
-        "French Press Bistro", "Cold Brew Corner", "Artisan Roasters"
-    ];
-    
-    const descriptions = [
-        "Cozy neighborhood coffee shop with artisanal brews",
-        "Modern café featuring locally sourced beans",
-        "Traditional coffeehouse with fresh pastries",
-        "Specialty coffee roasters with unique blends",
-        "Hip café with great atmosphere and WiFi",
-        "Family-owned coffee shop serving since 1995",
-        "Eco-friendly café with organic options",
-        "Drive-through coffee with quick service",
-        "Coffee and bookstore combination",
-        "Artisanal coffee with handcrafted drinks"
-    ];
-    
-    const mockCafes = [];
-    const numCafes = Math.floor(Math.random() * 8) + 7; // 7-15 cafes
-    
-    for (let i = 0; i < numCafes; i++) {
-        // Generate random coordinates within ~2km radius
-        const latOffset = (Math.random() - 0.5) * 0.02; // ~2km
-        const lngOffset = (Math.random() - 0.5) * 0.02;
-        
-        const cafe = {
-            name: cafeNames[Math.floor(Math.random() * cafeNames.length)],
-            lat: centerLocation[0] + latOffset,
-            lng: centerLocation[1] + lngOffset,
-            address: `${Math.floor(Math.random() * 999) + 1} ${['Main', 'Oak', 'Pine', 'Maple', 'Coffee', 'Bean'][Math.floor(Math.random() * 6)]} Street`,
-            rating: Math.round((Math.random() * 2 + 3) * 10) / 10, // 3.0-5.0
-            specialty: ['coffee', 'cafe', 'bakery', 'roastery'][Math.floor(Math.random() * 4)],
-            description: descriptions[Math.floor(Math.random() * descriptions.length)],
-            hours: "7:00 AM - 6:00 PM",
-            isOpen: Math.random() > 0.3, // 70% chance open
-            phone: `(555) ${Math.floor(Math.random() * 900) + 100}-${Math.floor(Math.random() * 9000) + 1000}`,
-            distance: Math.round(Math.random() * 2000 + 200) // 200m - 2.2km
-        };
+async function fetchWithRetry(url, options = {}, { signal, timeout = appConfig.requestTimeout, retries = appConfig.requestRetries } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal && signal.aborted) {
+            throw createRequestError('Request cancelled', 'aborted');
+        }
+        
+        const controller = new AbortController();
+        const abortRequest = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        if (signal) {
+            signal.addEventListener('abort', abortRequest, { once: true });
+        }
+        
+        let error;
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            if (response.ok) {
+                return response;
+            }
+            error = createRequestError(`Request failed with status ${response.status}`, 'http', response.status);
+        } catch (fetchError) {
+            if (signal && signal.aborted) {
+                throw createRequestError('Request cancelled', 'aborted');
+            }
+            error = timedOut ?
+                createRequestError(`Request timed out after ${Math.round(timeout / 1000)}s`, 'timeout') :
+                createRequestError(fetchError.message || 'Network request failed', 'network');
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abortRequest);
+            }
+        }
         
-        mockCafes.push(cafe);
+        const retryable = error.kind !== 'http' || error.status >= 500 || error.status === 429;
+        if (!retryable || attempt >= retries) {
+            throw error;
+        }
+        await delay(500 * 2 ** attempt, signal);
     }
-    
-    return mockCafes;
 }
 
-/**
- * Display cafes on map and in results
- */
-function displayCafes(cafeList) {
-    cafes = cafeList;
-    filteredCafes = [...cafes];
-    
-    // Add distance calculation if user location is available
-    if (userLocation) {
-        filteredCafes.forEach(cafe => {
-            cafe.distance = calculateDistance(
-                userLocation[0], userLocation[1], 
-                cafe.lat, cafe.lng
-            );
-        });
+function createRequestError(message, kind, status) {
+    const error = new Error(message);
+    error.kind = kind;
+    if (status) {
+        error.status = status;
     }
-    
-    applyFilters();
-    addMarkersToMap(filteredCafes);
-    updateResultsStats();
+    return error;
 }
 
 /**
- * Apply current filters and sorting
+ * Wait for a number of milliseconds, rejecting early if the signal is aborted
  */
-function applyFilters() {
-    const specialtyFilter = document.getElementById('specialtyFilter').value;
-    const sortFilter = document.getElementById('sortFilter').value;
-    
-    // Apply specialty filter
-    filteredCafes = cafes.filter(cafe => {
-        if (specialtyFilter && cafe.specialty !== specialtyFilter) {
-            return false;
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createRequestError('Request cancelled', 'aborted'));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(createRequestError('Request cancelled', 'aborted'));
+            }, { once: true });
         }
-        return true;
     });
-    
-    // Apply sorting
-    switch (sortFilter) {
-        case 'distance':
-            if (userLocation) {
-                filteredCafes.sort((a, b) => (a.distance || 0) - (b.distance || 0));
-            }
-            break;
-        case 'name':
-            filteredCafes.sort((a, b) => a.name.localeCompare(b.name));
-            break;
-        case 'rating':
-            filteredCafes.sort((a, b) => b.rating - a.rating);
-            break;
+}
+
+/**
+ * A short explanation of a failed request for the results area
+ */
+function describeRequestError(error) {
+    switch (error.kind) {
+        case 'timeout':
+            return t('request.timeout');
+        case 'network':
+            return t('request.network');
+        case 'http':
+            return error.status === 429 ? t('request.rateLimited') : t('request.http', { status: String(error.status) });
+        default:
+            return t('request.unknown');
     }
-    
-    currentPage = 1;
-    displayResults();
-    updatePagination();
 }
 
 /**
- * Display results in the results section
+ * Search for nearby places using the active cafe provider
  */
-function displayResults() {
-    const resultsDiv = document.getElementById('results');
+async function searchNearbyPlaces(location, options = {}) {
+    const search = searchController.start(() => searchNearbyPlaces(location, options));
+    showLoading(true);
     
-    if (filteredCafes.length === 0) {
-        resultsDiv.innerHTML = `
-            <div class="loading">
-                <div style="font-size: 3rem; margin-bottom: 20px;">😔</div>
-                <div class="loading-text">No coffee shops found</div>
-                <div class="loading-subtext">Try adjusting your filters or search in a different area</div>
-            </div>
-        `;
-        return;
-    }
+    const radius = getSearchRadius();
+    const isNewSearch = searchBounds !== null ||
+        (searchCenter !== null && (searchCenter[0] !== location[0] || searchCenter[1] !== location[1]));
     
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    const pageItems = filteredCafes.slice(startIndex, endIndex);
+    searchCenter = location;
+    searchBounds = null;
+    lastSearchOptions = options;
+    selectedCafeId = null;
+    hideSearchAreaButton();
+    updateRadiusCircle();
     
-    const cafeCards = pageItems.map((cafe, index) => {
-        const rating = cafe.rating || 'N/A';
-        const stars = rating !== 'N/A' ? generateStarRating(rating) : 'No rating';
-        const distance = cafe.distance ? `${cafe.distance.toFixed(1)} km away` : '';
-        const isOpen = cafe.isOpen;
-        const statusText = isOpen !== undefined ? (isOpen ? 'Open now' : 'Closed') : 'Hours unknown';
-        const statusClass = isOpen !== undefined ? (isOpen ? 'open' : 'closed') : '';
-        
-        return `
-            <div class="cafe-card-result slide-up" onclick="selectCafe(${startIndex + index})" style="animation-delay: ${index * 0.1}s">
-                <div class="cafe-name">${cafe.name}</div>
-                <div class="cafe-rating">
-                    <span class="stars">${stars}</span>
-                    <span class="rating-text">(${rating})</span>
-                </div>
-                <div class="cafe-address">📍 ${cafe.address}</div>
-                <div class="cafe-description">${cafe.description}</div>
-                <div class="cafe-details">
-                    <span class="cafe-specialty">${cafe.specialty}</span>
-                    ${distance ? `<span class="cafe-distance">${distance}</span>` : ''}
-                    <span class="cafe-status ${statusClass}">${statusText}</span>
-                </div>
-            </div>
-        `;
-    }).join('');
+    // New searches get their own history entry so back/forward moves between them
+    updateUrlState(isNewSearch);
     
-    resultsDiv.innerHTML = `<div class="cafe-grid">${cafeCards}</div>`;
+    await loadCafesFromProvider(search, location, {
+        radius: radius,
+        ...options
+    });
 }
 
 /**
- * Generate star rating HTML
+ * Search for cafes inside map bounds rather than around a center point
  */
-function generateStarRating(rating) {
-    const fullStars = Math.floor(rating);
-    const halfStar = rating % 1 >= 0.5 ? 1 : 0;
-    const emptyStars = 5 - fullStars - halfStar;
+async function searchArea(bounds) {
+    const search = searchController.start(() => searchArea(bounds));
+    showLoading(true);
     
-    return '★'.repeat(fullStars) + 
-           (halfStar ? '☆' : '') + 
-           '☆'.repeat(emptyStars);
+    const center = bounds.getCenter();
+    const location = [center.lat, center.lng];
+    
+    searchCenter = location;
+    searchBounds = {
+        south: bounds.getSouth(),
+        west: bounds.getWest(),
+        north: bounds.getNorth(),
+        east: bounds.getEast()
+    };
+    searchQuery = '';
+    lastSearchOptions = {};
+    selectedCafeId = null;
+    hideSearchAreaButton();
+    removeRadiusCircle();
+    updateUrlState(true);
+    
+    await loadCafesFromProvider(search, location, {
+        bounds: searchBounds,
+        radius: Math.round(center.distanceTo(bounds.getNorthEast()))
+    });
 }
 
 /**
- * Add markers to the map
+ * Fetch cafes from the active provider for a search and display them, unless a newer search has started
  */
-function addMarkersToMap(cafeList) {
-    clearMarkers();
+async function loadCafesFromProvider(search, location, providerOptions) {
+    const provider = getCafeProvider();
+    
+    if (provider.requiresNetwork && !navigator.onLine) {
+        searchController.finish(search);
+        showSavedResults();
+        return;
+    }
     
-    cafeList.forEach((cafe, index) => {
-        const isOpen = cafe.isOpen;
-        const markerColor = isOpen ? '#8B4513' : '#dc3545';
+    try {
+        const nearbyCafes = await provider.findCafes(location, { ...providerOptions, signal: search.signal });
         
-        const customIcon = L.divIcon({
-            className: 'custom-coffee-marker',
-            html: `<div style="background: ${markerColor}; width: 30px; height: 30px; border-radius: 50%; border: 3px solid white; display: flex; align-items: center; justify-content: center; font-size: 16px; color: white; box-shadow: 0 4px 15px rgba(0,0,0,0.3); cursor: pointer; transition: all 0.3s ease;">☕</div>`,
-            iconSize: [30, 30],
-            iconAnchor: [15, 15]
-        });
+        // Drop results from a search that is no longer current
+        if (!searchController.isCurrent(search)) return;
+        searchController.finish(search);
         
-        const marker = L.marker([cafe.lat, cafe.lng], { icon: customIcon })
-            .addTo(map)
-            .bindPopup(createPopupContent(cafe))
-            .on('click', () => selectCafe(filteredCafes.indexOf(cafe)));
+        loadedRadius = providerOptions.radius;
+        displayCafes(nearbyCafes);
+        saveLastResults(location, providerOptions.radius, lastSearchOptions, nearbyCafes);
+    } catch (error) {
+        if (!searchController.isCurrent(search)) return;
         
-        markers.push(marker);
-    });
-    
-    // Fit map to show all markers if there are any
-    if (markers.length > 0) {
-        const group = new L.featureGroup(markers);
-        map.fitBounds(group.getBounds().pad(0.1));
-    }
+        console.error(`Cafe provider "${provider.name}" failed:`, error);
+        
+        // Saved results are only a stand-in when the connection itself is gone
+        if (!navigator.onLine) {
+            searchController.finish(search);
+            showSavedResults();
+            return;
+        }
+        
+        searchController.fail(search, t('search.loadFailed'), describeRequestError(error));
+        showToast(t('search.loadFailedToast'), 'error');
+    }
+}
+
+/**
+ * Get the selected search radius in meters
+ */
+function getSearchRadius() {
+    return parseInt(document.getElementById('radiusFilter').value, 10);
+}
+
+/**
+ * Draw or update the search radius circle around the active search center
+ */
+function updateRadiusCircle() {
+    if (!searchCenter || searchBounds) return;
+    
+    if (radiusCircle) {
+        radiusCircle.setLatLng(searchCenter);
+        radiusCircle.setRadius(getSearchRadius());
+    } else {
+        radiusCircle = L.circle(searchCenter, {
+            radius: getSearchRadius(),
+            color: '#8B4513',
+            weight: 2,
+            dashArray: '6 6',
+            fillColor: '#D2B48C',
+            fillOpacity: 0.1,
+            interactive: false
+        }).addTo(map);
+    }
+}
+
+function removeRadiusCircle() {
+    if (radiusCircle) {
+        map.removeLayer(radiusCircle);
+        radiusCircle = null;
+    }
+}
+
+/**
+ * Handle a change of the Distance filter
+ */
+function handleRadiusChange() {
+    if (!searchCenter) return;
+    
+    // A larger radius than the last query covered (or an area search) needs fresh data
+    if (searchBounds || getSearchRadius() > loadedRadius) {
+        searchNearbyPlaces(searchCenter, lastSearchOptions);
+        return;
+    }
+    
+    updateRadiusCircle();
+    refreshFilteredView();
+}
+
+/**
+ * Cafe providers
+ * Each provider exposes findCafes(location, options) and resolves to an array of
+ * cafe objects shaped like the entries in mockCafes. Options carry either a radius in meters
+ * around the location or, for area searches, bounds {south, west, north, east}, plus an AbortSignal
+ * that is aborted when a newer search supersedes this one. Providers that set requiresNetwork
+ * are skipped in favour of the saved results while offline.
+ */
+const cafeProviders = {
+    mock: {
+        name: 'mock',
+        findCafes(location, options = {}) {
+            return new Promise((resolve, reject) => {
+                // Simulate API delay
+                const timer = setTimeout(() => {
+                    if (options.curated) {
+                        resolve(getCuratedMockCafes(location));
+                    } else {
+                        resolve(generateMockCafes({
+                            center: location,
+                            radius: options.radius,
+                            bounds: options.bounds,
+                            seed: getMockSeed()
+                        }));
+                    }
+                }, options.curated ? 0 : 1500);
+                
+                if (options.signal) {
+                    options.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(createRequestError('Request cancelled', 'aborted'));
+                    }, { once: true });
+                }
+            });
+        }
+    },
+    
+    overpass: {
+        name: 'overpass',
+        requiresNetwork: true,
+        async findCafes(location, options = {}) {
+            const radius = options.radius || 2000;
+            const bounds = options.bounds;
+            const area = bounds ?
+                `(${bounds.south},${bounds.west},${bounds.north},${bounds.east})` :
+                `(around:${radius},${location[0]},${location[1]})`;
+            const query = `[out:json][timeout:25];(node["amenity"="cafe"]${area};node["shop"="coffee"]${area};);out body;`;
+            
+            // The query itself may run for 25s on the server, so allow a little longer per attempt
+            const response = await fetchWithRetry(appConfig.overpassUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: `data=${encodeURIComponent(query)}`
+            }, { signal: options.signal, timeout: Math.max(appConfig.requestTimeout, 30000) });
+            
+            const data = await response.json();
+            return (data.elements || [])
+                .filter(element => element.type === 'node' && element.tags)
+                .map(mapOverpassElementToCafe);
+        }
+    }
+};
+
+/**
+ * Get the configured cafe provider, honouring ?provider= and ?seed= URL overrides
+ */
+function getCafeProvider() {
+    const params = new URLSearchParams(window.location.search);
+    // A seed only makes sense for the generated data, so it implies the mock provider
+    const requested = params.get('provider') || (params.has('seed') ? 'mock' : appConfig.cafeProvider);
+    return cafeProviders[requested] || cafeProviders.mock;
+}
+
+/**
+ * Convert an Overpass node into the cafe object shape used by displayCafes
+ */
+function mapOverpassElementToCafe(element) {
+    const tags = element.tags;
+    const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+    const address = [street, tags['addr:city']].filter(Boolean).join(', ');
+    
+    let specialty = 'cafe';
+    if (tags.craft === 'coffee_roaster' || tags.roastery === 'yes') {
+        specialty = 'roastery';
+    } else if (tags.shop === 'coffee' || (tags.cuisine || '').includes('coffee_shop')) {
+        specialty = 'coffee';
+    } else if ((tags.cuisine || '').includes('cake') || tags.shop === 'bakery') {
+        specialty = 'bakery';
+    }
+    
+    return {
+        id: `osm:node/${element.id}`,
+        name: tags.name || 'Unnamed cafe',
+        lat: element.lat,
+        lng: element.lon,
+        address: address || 'Address not available',
+        rating: null,
+        specialty: specialty,
+        description: tags.description || (tags.cuisine ? `Serves ${tags.cuisine.replace(/_/g, ' ').replace(/;/g, ', ')}` : 'Coffee spot from OpenStreetMap'),
+        hours: tags.opening_hours || 'Hours not listed',
+        phone: tags.phone || tags['contact:phone'] || '',
+        website: tags.website || tags['contact:website'] || '',
+        amenities: getOsmAmenities(tags),
+        menu: getOsmMenu(tags)
+    };
+}
+
+/**
+ * Get the curated mock cafes near a location
+ */
+function getCuratedMockCafes(centerLocation) {
+    // Filter cafes near the center location (within reasonable distance)
+    const nearbyCafes = mockCafes.filter(cafe => {
+        const distance = calculateDistance(centerLocation[0], centerLocation[1], cafe.lat, cafe.lng);
+        return distance < 50; // Within 50km for demo purposes
+    });
+    
+    if (nearbyCafes.length === 0) {
+        // If no nearby cafes, move the first few cafes to (reproducible) spots around the center
+        const random = createSeededRandom(`${getMockSeed()}@${centerLocation[0].toFixed(4)},${centerLocation[1].toFixed(4)}`);
+        return mockCafes.slice(0, 5).map(cafe => {
+            const [lat, lng] = randomPointNear(centerLocation, 1000, random);
+            return {
+                ...cafe,
+                id: undefined, // relocated copies get an id for their new position
+                lat: lat,
+                lng: lng
+            };
+        });
+    }
+    
+    return nearbyCafes;
+}
+
+/**
+ * Seeded mock data
+ * generateMockCafes() is deterministic: the same seed, center, radius and count always give the
+ * same cafes, so demos and automated browser tests see identical data on every run. ?seed=<value>
+ * in the URL selects the mock provider with that seed.
+ */
+const MOCK_DEFAULT_SEED = 'mochamap';
+const MOCK_CAFE_NAMES = [
+    "The Coffee Corner", "Bean There Done That", "Grind Coffee Co.",
+    "Steam & Beans", "Café Mocha", "The Daily Grind", "Roast Masters",
+    "Brew House", "Coffee Culture", "The Espresso Bar", "Latte Art Café",
+    "French Press Bistro", "Cold Brew Corner", "Artisan Roasters"
+];
+const MOCK_NAME_PARTS = [
+    ["Copper", "Velvet", "Morning", "Golden", "Little", "Urban", "Hidden", "Bluebird", "Maple", "Harbor", "Ember", "Juniper"],
+    ["Bean", "Cup", "Grind", "Brew", "Roastery", "Press", "Crema", "Kettle", "Mug", "Pour Over"]
+];
+const MOCK_DESCRIPTIONS = [
+    "Cozy neighborhood coffee shop with artisanal brews",
+    "Modern café featuring locally sourced beans",
+    "Traditional coffeehouse with fresh pastries",
+    "Specialty coffee roasters with unique blends",
+    "Hip café with great atmosphere and WiFi",
+    "Family-owned coffee shop serving since 1995",
+    "Eco-friendly café with organic options",
+    "Drive-through coffee with quick service",
+    "Coffee and bookstore combination",
+    "Artisanal coffee with handcrafted drinks"
+];
+const MOCK_HOURS = [
+    "7:00 AM - 6:00 PM",
+    "6:30 AM - 3:00 PM",
+    "8:00 AM - 10:00 PM",
+    "Mo-Fr 07:00-19:00; Sa-Su 08:00-17:00",
+    "Mo-Th 07:00-22:00; Fr-Sa 07:00-01:00; Su 09:00-18:00",
+    "Mo-Sa 07:00-11:30,13:00-20:00; Su off",
+    "24/7"
+];
+const MOCK_STREETS = ['Main', 'Oak', 'Pine', 'Maple', 'Coffee', 'Bean'];
+const MOCK_SPECIALTIES = ['coffee', 'cafe', 'bakery', 'roastery'];
+
+function getMockSeed() {
+    return new URLSearchParams(window.location.search).get('seed') || MOCK_DEFAULT_SEED;
+}
+
+/**
+ * A seeded pseudo-random number generator (FNV-1a hash of the seed, then mulberry32)
+ * returning numbers in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+    let state = 2166136261;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.codePointAt(0), 16777619);
+    }
+    
+    return function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+function randomItem(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * A point spread evenly over the disc of the given radius (in meters) around center
+ */
+function randomPointNear(center, radius, random) {
+    const distance = radius * Math.sqrt(random());
+    const bearing = random() * 2 * Math.PI;
+    return [
+        center[0] + distance * Math.cos(bearing) / 111320,
+        center[1] + distance * Math.sin(bearing) / (111320 * Math.cos(center[0] * Math.PI / 180))
+    ];
+}
+
+/**
+ * Pick count distinct cafe names, in a seeded order
+ */
+function generateMockCafeNames(random, count) {
+    const combinations = MOCK_NAME_PARTS[0].flatMap(first => MOCK_NAME_PARTS[1].map(second => `${first} ${second}`));
+    const names = [...MOCK_CAFE_NAMES, ...combinations];
+    
+    // Fisher-Yates shuffle
+    for (let i = names.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [names[i], names[j]] = [names[j], names[i]];
+    }
+    
+    return Array.from({ length: count }, (_, index) =>
+        index < names.length ? names[index] : `${names[index % names.length]} ${Math.floor(index / names.length) + 1}`);
+}
+
+/**
+ * Generate reproducible mock cafes within radius meters of center (and inside bounds, if given).
+ * Without a count, the seed picks 7-15 cafes. Distances are in km from center.
+ */
+function generateMockCafes({ center, radius = 2000, count, bounds = null, seed = MOCK_DEFAULT_SEED }) {
+    const random = createSeededRandom(`${seed}@${center[0].toFixed(4)},${center[1].toFixed(4)}`);
+    const total = count === undefined ? randomInt(random, 7, 15) : count;
+    const names = generateMockCafeNames(random, total);
+    const isInside = ([lat, lng]) =>
+        calculateDistance(center[0], center[1], lat, lng) <= radius / 1000 &&
+        (!bounds || (lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east));
+    
+    return names.map(name => {
+        let position = randomPointNear(center, radius, random);
+        for (let attempt = 0; attempt < 100 && !isInside(position); attempt++) {
+            position = randomPointNear(center, radius, random);
+        }
+        if (!isInside(position)) {
+            position = center;
+        }
+        
+        return {
+            name: name,
+            lat: position[0],
+            lng: position[1],
+            address: `${randomInt(random, 1, 999)} ${randomItem(random, MOCK_STREETS)} Street`,
+            rating: Math.round((random() * 2 + 3) * 10) / 10, // 3.0-5.0
+            specialty: randomItem(random, MOCK_SPECIALTIES),
+            description: randomItem(random, MOCK_DESCRIPTIONS),
+            hours: randomItem(random, MOCK_HOURS),
+            phone: `(555) ${randomInt(random, 100, 999)}-${randomInt(random, 1000, 9999)}`,
+            // Menus and amenities come from their own generators so they don't shift the other generated fields.
+            // Demo cafes can be anywhere, so menu prices carry no currency and show as plain numbers.
+            menu: generateMockMenu(createSeededRandom(`${seed}@menu@${name}`)),
+            amenities: generateMockAmenities(createSeededRandom(`${seed}@amenities@${name}`)),
+            distance: calculateDistance(center[0], center[1], position[0], position[1])
+        };
+    });
+}
+
+/**
+ * Display cafes on map and in results
+ */
+function displayCafes(cafeList) {
+    sourceCafes = cafeList;
+    cafes = applyCafeEdits(cafeList);
+    filteredCafes = [...cafes];
+    
+    // Add distance calculation if user location is available
+    if (userLocation) {
+        filteredCafes.forEach(cafe => {
+            cafe.distance = calculateDistance(
+                userLocation[0], userLocation[1], 
+                cafe.lat, cafe.lng
+            );
+        });
+    }
+    
+    applyFilters();
+    addMarkersToMap(filteredCafes);
+    updateResultsStats();
+    
+    if (pendingUrlState) {
+        applyPendingUrlState();
+    }
+
+    // A crawl that was waiting for a starting point can be planned now
+    if (crawl.stops.length > 0 && !crawlRoute && !crawlController) {
+        planCrawl();
+    }
+}
+
+/**
+ * Display a list of cafes that did not come from a location search (saved lists, imports)
+ */
+function displayCafesWithoutSearch(cafeList) {
+    searchController.cancel();
+    searchCenter = null;
+    searchBounds = null;
+    searchQuery = '';
+    lastSearchOptions = {};
+    selectedCafeId = null;
+    hideSearchAreaButton();
+    removeRadiusCircle();
+    
+    displayCafes(cafeList);
+    updateUrlState(true);
+}
+
+/**
+ * Read the active facets from the filter panel
+ */
+function getActiveFacets() {
+    return {
+        keyword: document.getElementById('keywordFilter').value.trim().toLowerCase(),
+        minRating: parseFloat(document.getElementById('ratingFilter').value) || 0,
+        openNow: document.getElementById('openNowFilter').checked,
+        specialties: getSelectedSpecialties(),
+        drink: document.getElementById('drinkFilter').value,
+        amenities: getSelectedAmenities()
+    };
+}
+
+function getSelectedSpecialties() {
+    return [...document.querySelectorAll('#specialtyFilter input[type="checkbox"]:checked')].map(input => input.value);
+}
+
+/**
+ * Check a cafe against the active facets, optionally ignoring one of them
+ * (facet counts are computed with their own facet left out).
+ */
+function cafeMatchesFacets(cafe, facets, ignoredFacet = null) {
+    if (ignoredFacet !== 'keyword' && facets.keyword) {
+        const haystack = `${cafe.name} ${cafe.description || ''} ${cafe.address || ''}`.toLowerCase();
+        if (!haystack.includes(facets.keyword)) return false;
+    }
+    if (ignoredFacet !== 'minRating' && facets.minRating > 0 && !((getCafeRating(cafe) || 0) >= facets.minRating)) {
+        return false;
+    }
+    if (ignoredFacet !== 'openNow' && facets.openNow && !getCafeOpenStatus(cafe)) {
+        return false;
+    }
+    if (ignoredFacet !== 'specialties' && facets.specialties.length > 0 && !facets.specialties.includes(cafe.specialty)) {
+        return false;
+    }
+    if (ignoredFacet !== 'drink' && facets.drink && !servesDrink(cafe, facets.drink)) {
+        return false;
+    }
+    if (ignoredFacet !== 'amenities' && !facets.amenities.every(amenityId => hasAmenity(cafe, amenityId))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Whether the shown cafes come from a location or area search (not a collection or an import)
+ */
+function hasSearchArea() {
+    return Boolean(searchCenter || searchBounds);
+}
+
+function isWithinSearchArea(cafe) {
+    if (searchBounds) {
+        return cafe.lat >= searchBounds.south && cafe.lat <= searchBounds.north &&
+            cafe.lng >= searchBounds.west && cafe.lng <= searchBounds.east;
+    }
+    if (!searchCenter) return true;
+    return calculateDistance(searchCenter[0], searchCenter[1], cafe.lat, cafe.lng) <= getSearchRadius() / 1000;
+}
+
+/**
+ * Show how many cafes each facet value would give with the other facets applied
+ */
+function updateFacetCounts(facets, candidates) {
+    const count = (ignoredFacet, extraCheck) =>
+        candidates.filter(cafe => cafeMatchesFacets(cafe, facets, ignoredFacet) && extraCheck(cafe)).length;
+    
+    document.getElementById('keywordFilterCount').textContent = facets.keyword ?
+        t('filters.matches', { count: count(null, () => true) }) : '';
+    document.getElementById('ratingFilterCount').textContent = t('filters.cafes', {
+        count: count('minRating', cafe => facets.minRating === 0 || (getCafeRating(cafe) || 0) >= facets.minRating)
+    });
+    document.getElementById('openNowFilterCount').textContent = `(${formatNumber(count('openNow', cafe => getCafeOpenStatus(cafe)))})`;
+    
+    document.querySelectorAll('#specialtyFilter [data-specialty-count]').forEach(element => {
+        const specialty = element.dataset.specialtyCount;
+        element.textContent = `(${formatNumber(count('specialties', cafe => cafe.specialty === specialty))})`;
+    });
+    // Amenities are combined with "and", so each count includes the amenities already checked
+    document.querySelectorAll('#amenityFilter [data-amenity-count]').forEach(element => {
+        element.textContent = `(${formatNumber(count(null, cafe => hasAmenity(cafe, element.dataset.amenityCount)))})`;
+    });
+    document.querySelectorAll('#carouselTrack [data-drink-count]').forEach(element => {
+        element.textContent = t('carousel.servedAt', { count: count('drink', cafe => servesDrink(cafe, element.dataset.drinkCount)) });
+    });
+    updateFacetLabels();
+}
+
+/**
+ * Labels that follow the facet controls rather than the results
+ */
+function updateFacetLabels() {
+    const minRating = parseFloat(document.getElementById('ratingFilter').value) || 0;
+    document.getElementById('ratingFilterValue').textContent = minRating > 0 ?
+        t('filters.minRatingValue', { rating: formatRating(minRating) }) : t('filters.any');
+    document.getElementById('openNowFilterLabel').textContent = getSelectedOpenTime() ? t('filters.openThen') : t('filters.openNow');
+    
+    const drink = document.getElementById('drinkFilter').value;
+    document.querySelectorAll('#carouselTrack .coffee-card').forEach(card => {
+        const active = card.dataset.drink === drink;
+        card.classList.toggle('is-active', active);
+        card.setAttribute('aria-pressed', String(active));
+    });
+}
+
+/**
+ * Reset every facet to "show all"
+ */
+function clearFacets() {
+    document.getElementById('keywordFilter').value = '';
+    document.getElementById('ratingFilter').value = 0;
+    document.getElementById('openNowFilter').checked = false;
+    document.getElementById('drinkFilter').value = '';
+    document.querySelectorAll('#specialtyFilter input[type="checkbox"], #amenityFilter input[type="checkbox"]').forEach(input => {
+        input.checked = false;
+    });
+    refreshFilteredView();
+}
+
+/**
+ * Re-run the filters and bring the cards, markers and stats in line with them
+ */
+function refreshFilteredView() {
+    applyFilters();
+    addMarkersToMap(filteredCafes);
+    updateResultsStats();
+}
+
+/**
+ * Apply current filters and sorting
+ */
+function applyFilters() {
+    const sortFilter = document.getElementById('sortFilter').value;
+    const facets = getActiveFacets();
+    const candidates = cafes.filter(isWithinSearchArea);
+    
+    // Apply distance and facet filters
+    filteredCafes = candidates.filter(cafe => cafeMatchesFacets(cafe, facets));
+    updateFacetCounts(facets, candidates);
+    
+    // Apply sorting
+    switch (sortFilter) {
+        case 'distance':
+            if (userLocation) {
+                filteredCafes.sort((a, b) => (a.distance || 0) - (b.distance || 0));
+            }
+            break;
+        case 'name':
+            filteredCafes.sort((a, b) => a.name.localeCompare(b.name));
+            break;
+        case 'rating':
+            filteredCafes.sort((a, b) => (getCafeRating(b) || 0) - (getCafeRating(a) || 0));
+            break;
+    }
+    
+    currentPage = 1;
+    displayResults();
+    updatePagination();
+    updateUrlState();
+    emitEmbedEvent('results', { cafes: filteredCafes.map(toEmbedCafe), total: cafes.length });
+}
+
+/**
+ * Display results in the results section
+ */
+function displayResults() {
+    const resultsDiv = document.getElementById('results');
+    
+    if (filteredCafes.length === 0) {
+        resultsDiv.innerHTML = html`
+            <div class="loading">
+                <div style="font-size: 3rem; margin-bottom: 20px;">😔</div>
+                <div class="loading-text">${t('results.empty')}</div>
+                <div class="loading-subtext">${t('results.emptyHint')}</div>
+            </div>
+        `;
+        return;
+    }
+    
+    const startIndex = (currentPage - 1) * itemsPerPage;
+    const endIndex = startIndex + itemsPerPage;
+    const pageItems = filteredCafes.slice(startIndex, endIndex);
+    
+    const cafeCards = pageItems.map((cafe, index) => {
+        const rating = getCafeRating(cafe);
+        const stars = rating ? generateStarRating(rating) : t('cafe.noRating');
+        const distance = cafe.distance ? t('cafe.distanceAway', { distance: formatDistance(cafe.distance) }) : '';
+        const isOpen = getCafeOpenStatus(cafe);
+        const statusText = getOpenStatusText(isOpen);
+        const statusClass = isOpen !== undefined ? (isOpen ? 'open' : 'closed') : 'unknown';
+        
+        return html`
+            <div class="cafe-card-result slide-up" data-cafe-id="${getCafeId(cafe)}" data-action="select-cafe" data-index="${startIndex + index}" style="animation-delay: ${index * 0.1}s">
+                ${createFavoriteButton(cafe)}
+                <div class="cafe-name">${cafe.name}</div>
+                <div class="cafe-rating">
+                    <span class="stars">${stars}</span>
+                    <span class="rating-text">(${rating ? formatRating(rating) : t('cafe.notAvailable')})</span>
+                </div>
+                <div class="cafe-address">📍 ${cafe.address}</div>
+                <div class="cafe-description">${cafe.description}</div>
+                ${createAmenityIcons(cafe)}
+                <div class="cafe-details">
+                    <span class="cafe-specialty">${t(`specialty.${cafe.specialty}`)}</span>
+                    ${distance ? html`<span class="cafe-distance">${distance}</span>` : ''}
+                    <span class="cafe-status ${statusClass}">${statusText}</span>
+                    ${createCuratorBadge(cafeEdits[getCafeId(cafe)])}
+                </div>
+                ${createCardActions(cafe)}
+                ${createCardReview(cafe)}
+            </div>
+        `;
+    });
+    
+    resultsDiv.innerHTML = html`<div class="cafe-grid">${cafeCards}</div>`;
+    
+    // Hovering a card highlights its marker
+    resultsDiv.querySelectorAll('.cafe-card-result').forEach(card => {
+        card.addEventListener('mouseenter', () => highlightCafe(card.dataset.cafeId, true));
+        card.addEventListener('mouseleave', () => highlightCafe(card.dataset.cafeId, false));
+    });
+}
+
+/**
+ * Generate star rating HTML
+ */
+function generateStarRating(rating) {
+    const fullStars = Math.floor(rating);
+    const halfStar = rating % 1 >= 0.5 ? 1 : 0;
+    const emptyStars = 5 - fullStars - halfStar;
+    
+    return '★'.repeat(fullStars) + 
+           (halfStar ? '☆' : '') + 
+           '☆'.repeat(emptyStars);
+}
+
+/**
+ * Get the stable id of a cafe, deriving one from its name and position if the source had none
+ */
+function getCafeId(cafe) {
+    if (!cafe.id) {
+        const slug = cafe.name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        cafe.id = `cafe:${slug}@${cafe.lat.toFixed(5)},${cafe.lng.toFixed(5)}`;
+    }
+    return cafe.id;
+}
+
+/**
+ * Marker icons, one per open status so they can be shared between markers
+ */
+const markerIcons = {};
+
+function getMarkerIcon(isOpen) {
+    const status = isOpen === undefined ? 'unknown' : (isOpen ? 'open' : 'closed');
+    
+    if (!markerIcons[status]) {
+        markerIcons[status] = L.divIcon({
+            className: 'custom-coffee-marker',
+            html: `<div class="coffee-marker-pin is-${status}">☕</div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        });
+    }
+    
+    return markerIcons[status];
+}
+
+/**
+ * Build a cluster icon coloured by the share of open, closed and unknown-hours cafes it contains
+ */
+function createClusterIcon(cluster) {
+    const children = cluster.getAllChildMarkers();
+    const openCount = children.filter(marker => marker.options.isOpen === true).length;
+    const closedCount = children.filter(marker => marker.options.isOpen === false).length;
+    const unknownCount = children.length - openCount - closedCount;
+    const openShare = Math.round(openCount / children.length * 100);
+    const knownShare = Math.round((openCount + closedCount) / children.length * 100);
+    const size = children.length < 10 ? 36 : children.length < 100 ? 44 : 52;
+    const title = [
+        openCount + closedCount > 0 ? t('map.clusterOpen', { open: openCount, count: openCount + closedCount }) : null,
+        unknownCount > 0 ? t('map.clusterUnknown', { count: unknownCount }) : null
+    ].filter(Boolean).join(' · ');
+    
+    return L.divIcon({
+        className: 'coffee-cluster-marker',
+        html: String(html`<div class="coffee-cluster" style="--open-share: ${openShare}%; --known-share: ${knownShare}%; width: ${size}px; height: ${size}px;" title="${title}"><span>${children.length}</span></div>`),
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    });
+}
+
+/**
+ * Create the clustered layer that holds all cafe markers
+ */
+function createMarkerLayer() {
+    markerLayer = L.markerClusterGroup({
+        iconCreateFunction: createClusterIcon,
+        showCoverageOnHover: false,
+        maxClusterRadius: 50,
+        chunkedLoading: true
+    });
+    map.addLayer(markerLayer);
+}
+
+/**
+ * Add markers to the map
+ * Markers are diffed against the previous render: unchanged cafes keep their marker,
+ * stale ones are removed and only new cafes get a marker created.
+ */
+function addMarkersToMap(cafeList) {
+    if (!markerLayer) {
+        createMarkerLayer();
+    }
+    
+    const nextMarkers = new Map();
+    const addedMarkers = [];
+    
+    cafeList.forEach(cafe => {
+        const key = getCafeId(cafe);
+        const isOpen = getCafeOpenStatus(cafe);
+        let marker = markersByKey.get(key);
+        
+        if (marker) {
+            const latLng = marker.getLatLng();
+            if (latLng.lat !== cafe.lat || latLng.lng !== cafe.lng) {
+                marker.setLatLng([cafe.lat, cafe.lng]);
+            }
+            if (marker.options.isOpen !== isOpen) {
+                marker.options.isOpen = isOpen;
+                marker.setIcon(getMarkerIcon(isOpen));
+                markerLayer.refreshClusters(marker);
+            }
+            marker.setPopupContent(String(createPopupContent(cafe)));
+        } else {
+            marker = L.marker([cafe.lat, cafe.lng], { icon: getMarkerIcon(isOpen), isOpen: isOpen, draggable: isCurating })
+                .bindPopup(String(createPopupContent(cafe)))
+                .on('click', () => selectCafe(filteredCafes.indexOf(marker.cafe)))
+                .on('mouseover', () => highlightCafe(getCafeId(marker.cafe), true))
+                .on('mouseout', () => highlightCafe(getCafeId(marker.cafe), false))
+                .on('dragend', () => moveCafe(getCafeId(marker.cafe), marker.getLatLng()));
+            addedMarkers.push(marker);
+        }
+        
+        marker.cafe = cafe;
+        nextMarkers.set(key, marker);
+    });
+    
+    const removedMarkers = [...markersByKey.entries()]
+        .filter(([key]) => !nextMarkers.has(key))
+        .map(([, marker]) => marker);
+    
+    markerLayer.removeLayers(removedMarkers);
+    markerLayer.addLayers(addedMarkers);
+    
+    markersByKey = nextMarkers;
+    markers = cafeList.map(cafe => nextMarkers.get(getCafeId(cafe)));
+    
+    // Fit map to show all markers once per new result set, not after a curator edit
+    // (area searches keep the view the user chose)
+    if (markers.length > 0 && markersFittedFor !== sourceCafes) {
+        markersFittedFor = sourceCafes;
+        if (!searchBounds) {
+            map.fitBounds(markerLayer.getBounds().pad(0.1));
+        }
+    }
+}
+
+/**
+ * Create popup content for map markers
+ */
+function createPopupContent(cafe) {
+    const rating = getCafeRating(cafe);
+    const stars = rating ? generateStarRating(rating) : t('cafe.noRating');
+    const isOpen = getCafeOpenStatus(cafe);
+    const statusClass = isOpen !== undefined ? (isOpen ? 'open' : 'closed') : 'unknown';
+    const statusText = getOpenStatusText(isOpen);
+    const distance = cafe.distance ? html`<p><strong>${t('cafe.distance')}</strong> ${formatDistance(cafe.distance)}</p>` : '';
+    
+    return html`
+        <div style="min-width: 200px; font-family: 'Open Sans', sans-serif;">
+            <div style="display: flex; align-items: flex-start; justify-content: space-between; gap: 10px;">
+                <h3 style="color: var(--text-color); margin-bottom: 10px; font-size: 1.1rem;">${cafe.name}</h3>
+                ${createFavoriteButton(cafe)}
+            </div>
+            <div style="display: flex; align-items: center; gap: 5px; margin-bottom: 8px;">
+                <span style="color: #D4AF37;">${stars}</span>
+                <span style="color: var(--muted-text);">(${rating ? formatRating(rating) : t('cafe.notAvailable')})</span>
+            </div>
+            <p style="color: var(--muted-text); margin-bottom: 5px;"><strong>${t('cafe.address')}</strong> ${cafe.address}</p>
+            ${distance}
+            <p style="color: var(--muted-text); margin-bottom: 5px;"><strong>${t('cafe.hours')}</strong> ${formatCafeHours(cafe)}</p>
+            <p style="margin-bottom: 8px;"><span class="cafe-status ${statusClass}" style="padding: 4px 8px; border-radius: 10px; font-size: 12px; font-weight: bold;">${statusText}</span> ${createCuratorBadge(cafeEdits[getCafeId(cafe)])}</p>
+            <p style="color: var(--muted-text); font-style: italic; font-size: 0.9rem;">${cafe.description}</p>
+            ${createAmenityIcons(cafe)}
+            ${createMenuList(cafe)}
+            ${createReviewSummary(getReview(cafe))}
+            <div class="popup-actions">
+                <button class="popup-action-btn" data-action="show-directions" data-cafe-id="${getCafeId(cafe)}">🧭 ${t('directions.button')}</button>
+                ${createCrawlButton(cafe)}
+                ${createReviewButtons(cafe)}
+                ${createCuratorButtons(cafe)}
+            </div>
+            <div class="review-slot"></div>
+        </div>
+    `;
+}
+
+/**
+ * Select and focus on a specific cafe
+ */
+function selectCafe(index) {
+    if (index >= 0 && index < filteredCafes.length) {
+        const cafe = filteredCafes[index];
+        const cafeId = getCafeId(cafe);
+        const marker = markersByKey.get(cafeId);
+        map.setView([cafe.lat, cafe.lng], 16);
+        
+        if (cafeId !== selectedCafeId) {
+            selectedCafeId = cafeId;
+            updateUrlState(true);
+        }
+        emitEmbedEvent('select', { cafe: toEmbedCafe(cafe) });
+        
+        // Open the popup for this marker, expanding its cluster if needed
+        if (marker) {
+            markerLayer.zoomToShowLayer(marker, () => marker.openPopup());
+        }
+        
+        // Jump to the page that holds this cafe
+        const page = Math.floor(index / itemsPerPage) + 1;
+        if (page !== currentPage) {
+            currentPage = page;
+            displayResults();
+            updatePagination();
+            updateUrlState();
+        }
+        
+        // Scroll to the cafe card
+        const cafeCard = getCafeCard(cafeId);
+        if (cafeCard) {
+            cafeCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            cafeCard.style.transform = 'scale(1.02)';
+            cafeCard.style.boxShadow = '0 20px 50px rgba(60, 36, 21, 0.3)';
+            
+            setTimeout(() => {
+                cafeCard.style.transform = '';
+                cafeCard.style.boxShadow = '';
+            }, 1000);
+        }
+    }
+}
+
+/**
+ * Find the rendered result card for a cafe, if it is on the current page
+ */
+function getCafeCard(cafeId) {
+    return [...document.querySelectorAll('.cafe-card-result')].find(card => card.dataset.cafeId === cafeId) || null;
+}
+
+/**
+ * Highlight a cafe's card and its marker (or the cluster that contains it)
+ */
+function highlightCafe(cafeId, highlighted) {
+    const card = getCafeCard(cafeId);
+    if (card) {
+        card.classList.toggle('is-highlighted', highlighted);
+    }
+    
+    const marker = markersByKey.get(cafeId);
+    if (!marker || !markerLayer) return;
+    
+    const visible = markerLayer.getVisibleParent(marker);
+    const element = visible && visible.getElement ? visible.getElement() : null;
+    if (element) {
+        element.classList.toggle('is-highlighted', highlighted);
+    }
+}
+
+/**
+ * Clear all markers from the map
+ */
+function clearMarkers() {
+    if (markerLayer) {
+        markerLayer.clearLayers();
+    }
+    markersByKey.clear();
+    markers = [];
+}
+
+/**
+ * Clear user location marker
+ */
+function clearUserMarker() {
+    map.eachLayer(layer => {
+        if (layer.options && layer.options.icon && layer.options.icon.options.className === 'custom-user-marker') {
+            map.removeLayer(layer);
+        }
+    });
+}
+
+/**
+ * Directions
+ * Routes come from an OSRM-compatible /route/v1 endpoint configured by appConfig.routingUrl.
+ */
+const ROUTE_PROFILE_LABELS = { walk: 'directions.walk', bike: 'directions.bike', car: 'directions.car' };
+
+/**
+ * Show directions from the user (or searched) location to a cafe
+ */
+function showDirections(cafeId) {
+    const cafe = findCafeById(cafeId);
+    const origin = userLocation || searchCenter;
+    
+    if (!cafe) return;
+    if (!origin) {
+        showToast(t('directions.needOrigin'), 'error');
+        return;
+    }
+    
+    directionsTarget = cafe;
+    map.closePopup();
+    requestDirections();
+}
+
+function setDirectionsProfile(profile) {
+    directionsProfile = profile;
+    if (directionsTarget) {
+        requestDirections();
+    }
+}
+
+async function requestDirections() {
+    const origin = userLocation || searchCenter;
+    const cafe = directionsTarget;
+    const profile = directionsProfile;
+    
+    if (directionsController) directionsController.abort();
+    const controller = new AbortController();
+    directionsController = controller;
+    
+    renderDirectionsPanel({ loading: true });
+    
+    try {
+        const route = await fetchRoute([origin, [cafe.lat, cafe.lng]], profile, controller.signal);
+        
+        // Ignore responses for a cafe or profile that is no longer selected
+        if (cafe !== directionsTarget || profile !== directionsProfile) return;
+        
+        drawRoute(route);
+        renderDirectionsPanel({ route: route });
+    } catch (error) {
+        if (error.kind === 'aborted' || cafe !== directionsTarget || profile !== directionsProfile) return;
+        console.error('Routing error:', error);
+        renderDirectionsPanel({ error: true });
+    }
+}
+
+/**
+ * Request a route through [lat, lng] waypoints from the OSRM-compatible routing service
+ * The route has one leg per pair of consecutive waypoints.
+ */
+async function fetchRoute(waypoints, profile, signal) {
+    const routingProfile = appConfig.routingProfiles[profile] || profile;
+    const coordinates = waypoints.map(([lat, lng]) => `${lng},${lat}`).join(';');
+    const url = `${appConfig.routingUrl.replace(/\/$/, '')}/route/v1/${routingProfile}/${coordinates}?overview=full&geometries=geojson&steps=true`;
+    
+    const response = await fetchWithRetry(url, {}, { signal: signal });
+    
+    const data = await response.json();
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+        throw new Error(data.message || 'No route found');
+    }
+    
+    return data.routes[0];
+}
+
+function drawRoute(route) {
+    if (routeLayer) {
+        map.removeLayer(routeLayer);
+    }
+    
+    routeLayer = L.geoJSON(route.geometry, {
+        style: { color: '#B87333', weight: 6, opacity: 0.85, lineCap: 'round' }
+    }).addTo(map);
+    
+    map.fitBounds(routeLayer.getBounds().pad(0.15));
+}
+
+function clearDirections() {
+    if (routeLayer) {
+        map.removeLayer(routeLayer);
+        routeLayer = null;
+    }
+    if (directionsController) {
+        directionsController.abort();
+        directionsController = null;
+    }
+    directionsTarget = null;
+    directionsPanelState = null;
+    document.getElementById('directionsPanel').style.display = 'none';
+}
+
+/**
+ * Turn an OSRM step into a readable instruction
+ * Maneuver types and modifiers are looked up in the message catalog ("route.type.end of road").
+ */
+function formatRouteStep(step) {
+    const maneuver = step.maneuver;
+    const road = step.name ? t('directions.onto', { road: step.name }) : '';
+    const modifier = maneuver.modifier ? t(`route.modifier.${maneuver.modifier}`) : '';
+    
+    switch (maneuver.type) {
+        case 'depart':
+            return step.name ? t('directions.departOn', { road: step.name }) : t('directions.depart');
+        case 'arrive':
+            return t('directions.arrive');
+        case 'roundabout':
+        case 'rotary':
+            return [t('directions.roundabout', { exit: maneuver.exit || 1 }), road].filter(Boolean).join(' ');
+        default:
+            return [t(`route.type.${maneuver.type}`), modifier, road].filter(Boolean).join(' ');
+    }
+}
+
+function formatRouteDuration(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    return minutes >= 60 ?
+        `${formatUnit(Math.floor(minutes / 60), 'hour')} ${formatUnit(minutes % 60, 'minute')}` :
+        formatUnit(minutes, 'minute');
+}
+
+/**
+ * Render the directions panel; the state is kept so the panel can be redrawn in another language
+ */
+function renderDirectionsPanel(state) {
+    const { loading = false, route = null, error = false } = state;
+    const panel = document.getElementById('directionsPanel');
+    const profileButtons = Object.keys(ROUTE_PROFILE_LABELS).map(profile => html`
+        <button class="route-profile-btn ${profile === directionsProfile ? 'active' : ''}" data-action="set-directions-profile" data-profile="${profile}">${t(ROUTE_PROFILE_LABELS[profile])}</button>
+    `);
+    directionsPanelState = state;
+    
+    let body = '';
+    if (loading) {
+        body = html`<div class="directions-message"><div class="coffee-loader"></div>${t('directions.loading')}</div>`;
+    } else if (error) {
+        body = html`<div class="directions-message error-text">${t('directions.noRoute')}</div>`;
+    } else if (route) {
+        const arrival = formatTime(new Date(Date.now() + route.duration * 1000));
+        const steps = route.legs.flatMap(leg => leg.steps).map(step => html`
+            <li>
+                <span>${formatRouteStep(step)}</span>
+                ${step.distance > 0 ? html`<span class="route-step-distance">${formatDistance(step.distance / 1000)}</span>` : ''}
+            </li>
+        `);
+        
+        body = html`
+            <div class="route-summary">
+                <span><strong>${formatDistance(route.distance / 1000)}</strong></span>
+                <span><strong>${formatRouteDuration(route.duration)}</strong></span>
+                <span>${t('directions.eta', { time: arrival })}</span>
+            </div>
+            <ol class="route-steps">${steps}</ol>
+        `;
+    }
+    
+    panel.innerHTML = html`
+        <div class="directions-header">
+            <h3>${t('directions.to', { name: directionsTarget.name })}</h3>
+            <button class="directions-close-btn" data-action="clear-directions" aria-label="${t('directions.close')}">✕</button>
+        </div>
+        <div class="route-profiles">${profileButtons}</div>
+        ${body}
+    `;
+    panel.style.display = 'block';
+}
+
+/**
+ * Favorites and collections
+ * Collections are user-named lists of cafe snapshots stored in localStorage, so saved cafes
+ * can be shown again without running a search.
+ */
+const COLLECTIONS_STORAGE_KEY = 'mochamap.collections';
+
+function loadCollections() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(COLLECTIONS_STORAGE_KEY));
+        const valid = Array.isArray(stored) ? stored
+            .filter(collection => collection && typeof collection.id === 'string' &&
+                typeof collection.name === 'string' && Array.isArray(collection.cafes))
+            .map(collection => ({ ...collection, cafes: collection.cafes.filter(isStoredCafe) })) : [];
+        if (valid.length > 0) {
+            return valid;
+        }
+    } catch (error) {
+        console.error('Could not read saved collections:', error);
+    }
+    
+    return [{ id: 'favorites', name: t('collections.favorites'), cafes: [] }];
+}
+
+/**
+ * A cafe snapshot read back from storage, with what the map and cards need to show it
+ */
+function isStoredCafe(cafe) {
+    return Boolean(cafe) && typeof cafe.name === 'string' && Number.isFinite(cafe.lat) && Number.isFinite(cafe.lng);
+}
+
+function saveCollections() {
+    try {
+        localStorage.setItem(COLLECTIONS_STORAGE_KEY, JSON.stringify(collections));
+    } catch (error) {
+        console.error('Could not save collections:', error);
+        showToast(t('collections.saveFailed'), 'error');
+    }
+}
+
+function getActiveCollection() {
+    return collections.find(collection => collection.id === activeCollectionId) || collections[0];
+}
+
+function isFavorite(cafe) {
+    const cafeId = getCafeId(cafe);
+    return getActiveCollection().cafes.some(saved => saved.id === cafeId);
+}
+
+/**
+ * Favorite toggle button for cards and popups
+ */
+function createFavoriteButton(cafe) {
+    const favorite = isFavorite(cafe);
+    const label = t(favorite ? 'favorites.remove' : 'favorites.save', { list: getActiveCollection().name });
+    
+    return html`<button class="favorite-btn ${favorite ? 'is-favorite' : ''}" data-action="toggle-favorite" data-cafe-id="${getCafeId(cafe)}" aria-label="${label}" title="${label}">${favorite ? '♥' : '♡'}</button>`;
+}
+
+/**
+ * Find a cafe by id in the current results or any collection
+ */
+function findCafeById(cafeId) {
+    const match = cafes.find(cafe => cafe.id === cafeId);
+    if (match) return match;
+    
+    for (const collection of collections) {
+        const saved = collection.cafes.find(cafe => cafe.id === cafeId);
+        if (saved) return saved;
+    }
+    return null;
+}
+
+/**
+ * Add a cafe to the active collection, or remove it if it is already there
+ */
+function toggleFavorite(cafeId) {
+    const collection = getActiveCollection();
+    const existingIndex = collection.cafes.findIndex(cafe => cafe.id === cafeId);
+    
+    if (existingIndex >= 0) {
+        collection.cafes.splice(existingIndex, 1);
+        showToast(t('favorites.removed', { list: collection.name }), 'info', 2500);
+    } else {
+        const cafe = findCafeById(cafeId);
+        if (!cafe) return;
+        
+        const { distance, ...snapshot } = cafe;
+        collection.cafes.push(snapshot);
+        showToast(t('favorites.saved', { list: collection.name }), 'success', 2500);
+    }
+    
+    saveCollections();
+    refreshFavoriteViews();
+}
+
+function removeFromCollection(collectionId, cafeId) {
+    const collection = collections.find(item => item.id === collectionId);
+    if (!collection) return;
+    
+    collection.cafes = collection.cafes.filter(cafe => cafe.id !== cafeId);
+    saveCollections();
+    refreshFavoriteViews();
+}
+
+function createCollection() {
+    const input = document.getElementById('newCollectionName');
+    const name = input.value.trim();
+    
+    if (!name) {
+        showToast(t('collections.nameRequired'), 'error');
+        return;
+    }
+    if (collections.some(collection => collection.name.toLowerCase() === name.toLowerCase())) {
+        showToast(t('collections.nameTaken', { name: name }), 'error');
+        return;
+    }
+    
+    const collection = { id: `list-${Date.now().toString(36)}`, name: name, cafes: [] };
+    collections.push(collection);
+    activeCollectionId = collection.id;
+    input.value = '';
+    
+    saveCollections();
+    refreshFavoriteViews();
+    showToast(t('collections.created', { name: name }), 'success');
+}
+
+function deleteCollection(collectionId) {
+    if (collections.length <= 1) {
+        showToast(t('collections.needOne'), 'error');
+        return;
+    }
+    
+    const collection = collections.find(item => item.id === collectionId);
+    if (!collection || !confirm(t('collections.confirmDelete', { name: collection.name }))) return;
+    
+    collections = collections.filter(item => item.id !== collectionId);
+    if (activeCollectionId === collectionId) {
+        activeCollectionId = collections[0].id;
+    }
+    
+    saveCollections();
+    refreshFavoriteViews();
+}
+
+function setActiveCollection(collectionId) {
+    activeCollectionId = collectionId;
+    refreshFavoriteViews();
+}
+
+/**
+ * Show the cafes of a collection on the map without running a search
+ */
+function showCollectionOnMap(collectionId) {
+    const collection = collections.find(item => item.id === collectionId);
+    if (!collection || collection.cafes.length === 0) {
+        showToast(t('collections.empty'), 'info');
+        return;
+    }
+    
+    displayCafesWithoutSearch(collection.cafes.map(cafe => ({ ...cafe })));
+    document.querySelector('.map-container').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Re-render the heart buttons and the collections panel after a change
+ */
+function refreshFavoriteViews() {
+    displayResults();
+    refreshPopups();
+    renderCollectionsPanel();
+}
+
+function refreshPopups() {
+    if (markerLayer) {
+        markers.forEach(marker => marker.setPopupContent(String(createPopupContent(marker.cafe))));
+    }
+}
+
+function renderCollectionsPanel() {
+    const active = getActiveCollection();
+    
+    document.getElementById('collectionSelect').innerHTML = html`${collections.map(collection => html`
+        <option value="${collection.id}" ${collection.id === active.id ? 'selected' : ''}>${collection.name} (${formatNumber(collection.cafes.length)})</option>
+    `)}`;
+    
+    const list = document.getElementById('collectionCafes');
+    if (active.cafes.length === 0) {
+        list.innerHTML = html`<div class="collection-empty">${t('collections.emptyHint', { name: active.name })}</div>`;
+        return;
+    }
+    
+    list.innerHTML = html`${active.cafes.map(cafe => html`
+        <div class="collection-item">
+            <div class="collection-item-info">
+                <div class="collection-item-name">${cafe.name}</div>
+                <div class="collection-item-address">📍 ${cafe.address}</div>
+            </div>
+            <button class="collection-remove-btn" data-action="remove-from-collection" data-collection-id="${active.id}" data-cafe-id="${cafe.id}" aria-label="${t('collections.removeCafe', { name: cafe.name })}">✕</button>
+        </div>
+    `)}`;
+}
+
+/**
+ * Coffee crawl
+ * An itinerary of cafes to visit in one outing. The stops are put in a short visiting order
+ * from the start (nearest neighbour, then 2-opt), routed in one request through the routing
+ * service (straight-line estimates when it fails) and checked against their hours at the
+ * planned arrival time. The current crawl and named plans are kept in localStorage, and a
+ * plan can be shared as a ?crawl= link.
+ */
+const CRAWL_STORAGE_KEY = 'mochamap.crawl';
+const SAVED_CRAWLS_STORAGE_KEY = 'mochamap.crawls';
+const CRAWL_MAX_STOPS = 10;
+const CRAWL_SPEEDS_KMH = { walk: 4.5, bike: 15, car: 30 }; // for straight-line estimates
+const CRAWL_STOP_FIELDS = ['id', 'name', 'lat', 'lng', 'address', 'hours'];
+
+function createEmptyCrawl() {
+    return { start: null, startTime: '', profile: 'walk', stayMinutes: 30, stops: [] };
+}
+
+/**
+ * Check a crawl read from storage or a link, keeping only what the planner uses
+ */
+function normalizeCrawl(data) {
+    const crawlData = createEmptyCrawl();
+    if (!data || !Array.isArray(data.stops)) {
+        throw new Error('Not a crawl plan');
+    }
+    
+    crawlData.stops = data.stops
+        .filter(stop => stop && typeof stop.name === 'string' && Number.isFinite(stop.lat) && Number.isFinite(stop.lng))
+        .slice(0, CRAWL_MAX_STOPS)
+        .map(stop => ({
+            ...pickCrawlStopFields(stop),
+            id: String(stop.id || getCafeId({ ...stop })),
+            address: String(stop.address || ''),
+            hours: String(stop.hours || '')
+        }));
+    if (Array.isArray(data.start) && data.start.length === 2 && data.start.every(Number.isFinite)) crawlData.start = data.start;
+    if (/^\d{2}:\d{2}$/.test(data.startTime)) crawlData.startTime = data.startTime;
+    if (ROUTE_PROFILE_LABELS[data.profile]) crawlData.profile = data.profile;
+    if (Number.isFinite(data.stayMinutes)) crawlData.stayMinutes = Math.min(240, Math.max(0, Math.round(data.stayMinutes)));
+    
+    return crawlData;
+}
+
+function pickCrawlStopFields(stop) {
+    return Object.fromEntries(CRAWL_STOP_FIELDS.filter(field => stop[field] !== undefined).map(field => [field, stop[field]]));
+}
+
+/**
+ * A ?crawl= link wins over the crawl saved in this browser, and replaces it
+ */
+function loadCrawl() {
+    const params = new URLSearchParams(window.location.search);
+    const shared = params.get('crawl');
+    
+    if (shared) {
+        params.delete('crawl');
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        
+        try {
+            crawl = decodeCrawlLink(shared);
+            saveCrawl();
+            showToast(t('crawl.sharedLoaded'), 'success');
+            return crawl;
+        } catch (error) {
+            console.error('Could not read shared crawl:', error);
+            showToast(t('crawl.invalidLink'), 'error');
+        }
+    }
+    
+    try {
+        const stored = JSON.parse(localStorage.getItem(CRAWL_STORAGE_KEY));
+        if (stored) {
+            return normalizeCrawl(stored);
+        }
+    } catch (error) {
+        console.error('Could not read saved crawl:', error);
+    }
+    return createEmptyCrawl();
+}
+
+function saveCrawl() {
+    try {
+        localStorage.setItem(CRAWL_STORAGE_KEY, JSON.stringify(crawl));
+    } catch (error) {
+        console.error('Could not save crawl:', error);
+        showToast(t('crawl.saveFailed'), 'error');
+    }
+}
+
+function loadSavedCrawls() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SAVED_CRAWLS_STORAGE_KEY));
+        if (Array.isArray(stored)) {
+            return stored
+                .filter(plan => plan && typeof plan.name === 'string' && Array.isArray(plan.stops))
+                .map(plan => ({ ...normalizeCrawl(plan), name: plan.name }));
+        }
+    } catch (error) {
+        console.error('Could not read saved crawl plans:', error);
+    }
+    return [];
+}
+
+function saveSavedCrawls() {
+    try {
+        localStorage.setItem(SAVED_CRAWLS_STORAGE_KEY, JSON.stringify(savedCrawls));
+    } catch (error) {
+        console.error('Could not save crawl plans:', error);
+        showToast(t('crawl.saveFailed'), 'error');
+    }
+}
+
+function isCrawlStop(cafe) {
+    const cafeId = getCafeId(cafe);
+    return crawl.stops.some(stop => stop.id === cafeId);
+}
+
+/**
+ * "Add to crawl" toggle for cards and popups
+ */
+function createCrawlButton(cafe) {
+    const inCrawl = isCrawlStop(cafe);
+    return html`<button class="popup-action-btn crawl-toggle-btn ${inCrawl ? 'is-active' : ''}" data-action="toggle-crawl-stop" data-cafe-id="${getCafeId(cafe)}">${t(inCrawl ? 'crawl.inCrawl' : 'crawl.add')}</button>`;
+}
+
+/**
+ * A result card's action row; the favorite button sits in the card's corner
+ */
+function createCardActions(cafe) {
+    return html`<div class="popup-actions card-actions">${createCrawlButton(cafe)}</div>`;
+}
+
+function toggleCrawlStop(cafeId) {
+    const existingIndex = crawl.stops.findIndex(stop => stop.id === cafeId);
+    
+    if (existingIndex >= 0) {
+        const [removed] = crawl.stops.splice(existingIndex, 1);
+        showToast(t('crawl.removed', { name: removed.name }), 'info', 2500);
+    } else {
+        const cafe = findCafeById(cafeId);
+        if (!cafe) return;
+        if (crawl.stops.length >= CRAWL_MAX_STOPS) {
+            showToast(t('crawl.full', { count: CRAWL_MAX_STOPS }), 'error');
+            return;
+        }
+        
+        const { distance, ...snapshot } = cafe;
+        crawl.stops.push(snapshot);
+        showToast(t('crawl.added', { name: cafe.name }), 'success', 2500);
+    }
+    
+    saveCrawl();
+    refreshCrawlViews();
+}
+
+function removeCrawlStop(cafeId) {
+    crawl.stops = crawl.stops.filter(stop => stop.id !== cafeId);
+    saveCrawl();
+    refreshCrawlViews();
+}
+
+function clearCrawl() {
+    if (crawl.stops.length > 0 && !confirm(t('crawl.confirmClear'))) return;
+    
+    const { startTime, profile, stayMinutes } = crawl;
+    crawl = { ...createEmptyCrawl(), startTime, profile, stayMinutes };
+    saveCrawl();
+    refreshCrawlViews();
+}
+
+/**
+ * Settings that change the route are re-planned; the others only shift the timetable
+ */
+function updateCrawlSettings() {
+    const profile = document.getElementById('crawlProfile').value;
+    const stayMinutes = parseInt(document.getElementById('crawlStay').value, 10);
+    const profileChanged = profile !== crawl.profile;
+    
+    crawl.profile = profile;
+    crawl.startTime = document.getElementById('crawlStartTime').value;
+    crawl.stayMinutes = Number.isFinite(stayMinutes) ? Math.min(240, Math.max(0, stayMinutes)) : 0;
+    saveCrawl();
+    
+    if (profileChanged) {
+        planCrawl();
+    } else {
+        renderCrawlPanel();
+    }
+}
+
+/**
+ * Where the crawl starts: the plan's own start (saved and shared plans), else the user's
+ * position, else the searched location
+ */
+function getCrawlStart() {
+    return crawl.start || userLocation || searchCenter;
+}
+
+/**
+ * Visiting order for the stops: nearest neighbour from the start, then 2-opt (reverse any
+ * stretch of the path whose reversal makes it shorter) until nothing improves. The path is
+ * open - the crawl does not return to the start.
+ */
+function orderCrawlStops(start, stops) {
+    const points = [start, ...stops.map(stop => [stop.lat, stop.lng])];
+    const distance = (a, b) => calculateDistance(points[a][0], points[a][1], points[b][0], points[b][1]);
+    
+    const remaining = stops.map((stop, index) => index + 1);
+    const order = [0];
+    while (remaining.length > 0) {
+        const last = order[order.length - 1];
+        let nearest = 0;
+        remaining.forEach((candidate, index) => {
+            if (distance(last, candidate) < distance(last, remaining[nearest])) nearest = index;
+        });
+        order.push(remaining.splice(nearest, 1)[0]);
+    }
+    
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 1; i < order.length - 1; i++) {
+            for (let j = i + 1; j < order.length; j++) {
+                const next = order[j + 1];
+                const before = distance(order[i - 1], order[i]) + (next !== undefined ? distance(order[j], next) : 0);
+                const after = distance(order[i - 1], order[j]) + (next !== undefined ? distance(order[i], next) : 0);
+                if (after < before - 1e-9) {
+                    order.splice(i, j - i + 1, ...order.slice(i, j + 1).reverse());
+                    improved = true;
+                }
+            }
+        }
+    }
+    
+    return order.slice(1).map(index => stops[index - 1]);
+}
+
+/**
+ * Order the stops, route them and redraw the crawl
+ */
+async function planCrawl() {
+    if (crawlController) crawlController.abort();
+    crawlController = null;
+    crawlRoute = null;
+    
+    const start = getCrawlStart();
+    if (crawl.stops.length === 0 || !start) {
+        drawCrawl();
+        renderCrawlPanel();
+        return;
+    }
+    
+    crawl.stops = orderCrawlStops(start, crawl.stops);
+    saveCrawl();
+    
+    const controller = new AbortController();
+    crawlController = controller;
+    renderCrawlPanel();
+    
+    let route;
+    try {
+        const waypoints = [start, ...crawl.stops.map(stop => [stop.lat, stop.lng])];
+        const routed = await fetchRoute(waypoints, crawl.profile, controller.signal);
+        route = { legs: routed.legs, geometry: routed.geometry, estimated: false };
+    } catch (error) {
+        if (error.kind === 'aborted' || controller !== crawlController) return;
+        console.error('Crawl routing error:', error);
+        route = estimateCrawlRoute(start, crawl.stops, crawl.profile);
+    }
+    
+    // A newer plan was started while this one was routed
+    if (controller !== crawlController) return;
+    crawlController = null;
+    crawlRoute = route;
+    drawCrawl();
+    renderCrawlPanel();
+}
+
+/**
+ * Straight lines between the stops, timed at a typical speed for the travel mode
+ */
+function estimateCrawlRoute(start, stops, profile) {
+    const points = [start, ...stops.map(stop => [stop.lat, stop.lng])];
+    const legs = stops.map((stop, index) => {
+        const distance = calculateDistance(points[index][0], points[index][1], stop.lat, stop.lng) * 1000;
+        return { distance: distance, duration: distance / 1000 / CRAWL_SPEEDS_KMH[profile] * 3600 };
+    });
+    
+    return {
+        legs: legs,
+        geometry: { type: 'LineString', coordinates: points.map(([lat, lng]) => [lng, lat]) },
+        estimated: true
+    };
+}
+
+/**
+ * When the crawl sets off: today at the chosen start time, or now
+ */
+function getCrawlDeparture() {
+    const departure = new Date();
+    if (crawl.startTime) {
+        const [hours, minutes] = crawl.startTime.split(':').map(Number);
+        departure.setHours(hours, minutes, 0, 0);
+    }
+    return departure;
+}
+
+/**
+ * Arrival and departure times for each stop
+ */
+function getCrawlSchedule(departure) {
+    let time = departure;
+    return crawlRoute.legs.map((leg, index) => {
+        const stop = crawl.stops[index];
+        const arrival = new Date(time.getTime() + leg.duration * 1000);
+        const departure = new Date(arrival.getTime() + crawl.stayMinutes * 60000);
+        time = departure;
+        return { stop, leg, arrival, departure, status: getCrawlStopStatus(stop, arrival, departure) };
+    });
+}
+
+/**
+ * 'open' for the whole visit, 'closing' before the visit ends, 'closed' on arrival, or 'unknown'
+ */
+function getCrawlStopStatus(stop, arrival, departure) {
+    const schedule = parseOpeningHours(stop.hours);
+    if (!schedule) return 'unknown';
+    if (!isScheduleOpenAt(schedule, arrival)) return 'closed';
+    
+    const lastMinute = new Date(Math.max(arrival.getTime(), departure.getTime() - 60000));
+    return isScheduleOpenAt(schedule, lastMinute) ? 'open' : 'closing';
+}
+
+function drawCrawl() {
+    if (crawlLayer) {
+        map.removeLayer(crawlLayer);
+        crawlLayer = null;
+    }
+    if (!map || !crawlRoute) return;
+    
+    crawlLayer = L.featureGroup().addTo(map);
+    L.geoJSON(crawlRoute.geometry, {
+        style: { color: '#704214', weight: 5, opacity: 0.8, lineCap: 'round', dashArray: crawlRoute.estimated ? '8 10' : null }
+    }).addTo(crawlLayer);
+    
+    crawl.stops.forEach((stop, index) => {
+        L.marker([stop.lat, stop.lng], {
+            icon: L.divIcon({ className: 'crawl-stop-icon', html: String(index + 1), iconSize: [28, 28] }),
+            zIndexOffset: 1000
+        })
+            .bindTooltip(String(html`${index + 1}. ${stop.name}`))
+            .addTo(crawlLayer);
+    });
+}
+
+function showCrawlOnMap() {
+    if (!crawlLayer) {
+        showToast(t('crawl.needStops'), 'info');
+        return;
+    }
+    
+    map.fitBounds(crawlLayer.getBounds().pad(0.15));
+    document.querySelector('.map-container').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Save the crawl under a name, replacing a plan with the same name. The start is stored
+ * with it so the plan keeps its order wherever it is opened.
+ */
+function saveCrawlPlan() {
+    const input = document.getElementById('crawlName');
+    const name = input.value.trim();
+    
+    if (crawl.stops.length === 0) {
+        showToast(t('crawl.needStops'), 'error');
+        return;
+    }
+    if (!name) {
+        showToast(t('crawl.nameRequired'), 'error');
+        return;
+    }
+    
+    const plan = { ...crawl, name: name, start: getCrawlStart() };
+    savedCrawls = savedCrawls.filter(saved => saved.name.toLowerCase() !== name.toLowerCase());
+    savedCrawls.push(plan);
+    input.value = '';
+    
+    saveSavedCrawls();
+    renderCrawlPanel();
+    showToast(t('crawl.planSaved', { name: name }), 'success');
+}
+
+function openCrawlPlan(name) {
+    const plan = savedCrawls.find(saved => saved.name === name);
+    if (!plan) return;
+    
+    try {
+        crawl = normalizeCrawl(plan);
+    } catch (error) {
+        console.error('Could not open crawl plan:', error);
+        return;
+    }
+    
+    saveCrawl();
+    syncCrawlSettings();
+    refreshCrawlViews();
+}
+
+function deleteCrawlPlan(name) {
+    if (!name || !confirm(t('crawl.confirmDelete', { name: name }))) return;
+    
+    savedCrawls = savedCrawls.filter(saved => saved.name !== name);
+    saveSavedCrawls();
+    renderCrawlPanel();
+}
+
+/**
+ * Share link: the plan as base64url-encoded JSON, with only the stop fields the planner needs
+ */
+function encodeCrawlLink(plan) {
+    const compact = {
+        ...plan,
+        stops: plan.stops.map(pickCrawlStopFields)
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCrawlLink(value) {
+    const bytes = Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+    return normalizeCrawl(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+function shareCrawl() {
+    if (crawl.stops.length === 0) {
+        showToast(t('crawl.needStops'), 'error');
+        return;
+    }
+    
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set('crawl', encodeCrawlLink({ ...crawl, start: getCrawlStart() }));
+    
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url.href) : Promise.reject(new Error('No clipboard access'));
+    copied
+        .then(() => showToast(t('crawl.linkCopied'), 'success'))
+        .catch(() => prompt(t('crawl.copyLink'), url.href));
+}
+
+/**
+ * Update the crawl buttons on cards and popups, then re-plan
+ */
+function refreshCrawlViews() {
+    displayResults();
+    refreshPopups();
+    planCrawl();
+}
+
+function syncCrawlSettings() {
+    document.getElementById('crawlProfile').value = crawl.profile;
+    document.getElementById('crawlStartTime').value = crawl.startTime;
+    document.getElementById('crawlStay').value = crawl.stayMinutes;
+}
+
+function getCrawlStartText() {
+    if (crawl.start) return t('crawl.fromPlan');
+    return userLocation ? t('crawl.fromLocation') : t('crawl.fromSearch');
+}
+
+function renderCrawlPanel() {
+    document.getElementById('savedCrawlSelect').innerHTML = savedCrawls.length > 0 ?
+        html`${savedCrawls.map(plan => html`<option value="${plan.name}">${plan.name} (${formatNumber(plan.stops.length)})</option>`)}` :
+        html`<option value="">${t('crawl.noSaved')}</option>`;
+    
+    const planDiv = document.getElementById('crawlPlan');
+    if (crawl.stops.length === 0) {
+        planDiv.innerHTML = html`<div class="collection-empty">${t('crawl.emptyHint')}</div>`;
+        return;
+    }
+    if (!getCrawlStart()) {
+        planDiv.innerHTML = html`<div class="collection-empty">${t('directions.needOrigin')}</div>`;
+        return;
+    }
+    if (!crawlRoute) {
+        planDiv.innerHTML = html`<div class="directions-message"><div class="coffee-loader"></div>${t('crawl.loading')}</div>`;
+        return;
+    }
+    
+    const departure = getCrawlDeparture();
+    const schedule = getCrawlSchedule(departure);
+    const travelTime = crawlRoute.legs.reduce((sum, leg) => sum + leg.duration, 0);
+    const distance = crawlRoute.legs.reduce((sum, leg) => sum + leg.distance, 0);
+    const finish = schedule[schedule.length - 1].departure;
+    const closedCount = schedule.filter(entry => entry.status === 'closed' || entry.status === 'closing').length;
+    
+    const stops = schedule.map((entry, index) => html`
+        <li class="crawl-stop">
+            <span class="crawl-stop-number">${index + 1}</span>
+            <div class="crawl-stop-info">
+                <div class="collection-item-name">${entry.stop.name}</div>
+                <div class="collection-item-address">📍 ${entry.stop.address}</div>
+                <div class="crawl-stop-leg">${formatDistance(entry.leg.distance / 1000)} · ${formatRouteDuration(entry.leg.duration)} · ${t('crawl.arrive', { time: formatTime(entry.arrival) })}</div>
+                <span class="cafe-status crawl-stop-status ${entry.status}">${t(`crawl.status.${entry.status}`)}</span>
+            </div>
+            <button class="collection-remove-btn" data-action="remove-crawl-stop" data-cafe-id="${entry.stop.id}" aria-label="${t('crawl.removeStop', { name: entry.stop.name })}">✕</button>
+        </li>
+    `);
+    
+    planDiv.innerHTML = html`
+        <div class="route-summary">
+            <span><strong>${formatDistance(distance / 1000)}</strong></span>
+            <span><strong>${formatRouteDuration(travelTime)}</strong></span>
+            <span>${t('crawl.totalTime', { duration: formatRouteDuration((finish - departure) / 1000) })}</span>
+            <span>${t('crawl.finish', { time: formatTime(finish) })}</span>
+        </div>
+        <p class="crawl-note">${getCrawlStartText()}${crawlRoute.estimated ? html` · ${t('crawl.estimated')}` : ''}</p>
+        ${closedCount > 0 ? html`<p class="crawl-note error-text">${t('crawl.closedWarning', { count: closedCount })}</p>` : ''}
+        <ol class="crawl-stops">${stops}</ol>
+    `;
+}
+
+/**
+ * Reviews and personal ratings
+ * One review per cafe (stars, notes, tags and visit date) is kept in localStorage by cafe id.
+ * ratingSource picks which rating the stars, the rating sort, the minimum rating filter and
+ * the average use: the data source's, the user's own, or the mean of both.
+ */
+const REVIEWS_STORAGE_KEY = 'mochamap.reviews';
+const RATING_SOURCE_STORAGE_KEY = 'mochamap.ratingSource';
+const RATING_SOURCE_LABELS = { source: 'stats.averageRating', own: 'stats.myAverageRating', blend: 'stats.blendedRating' };
+const REVIEW_TAGS = {
+    laptops: 'reviews.tag.laptops',
+    quiet: 'reviews.tag.quiet',
+    groups: 'reviews.tag.groups',
+    coffee: 'reviews.tag.coffee',
+    food: 'reviews.tag.food',
+    staff: 'reviews.tag.staff',
+    pricey: 'reviews.tag.pricey'
+};
+let reviewFormCount = 0;
+
+function loadReviews() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(REVIEWS_STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            return stored;
+        }
+    } catch (error) {
+        console.error('Could not read saved reviews:', error);
+    }
+    return {};
+}
+
+function saveReviews() {
+    try {
+        localStorage.setItem(REVIEWS_STORAGE_KEY, JSON.stringify(reviews));
+    } catch (error) {
+        console.error('Could not save reviews:', error);
+        showToast(t('reviews.saveFailed'), 'error');
+    }
+}
+
+function loadRatingSource() {
+    const stored = localStorage.getItem(RATING_SOURCE_STORAGE_KEY);
+    return RATING_SOURCE_LABELS[stored] ? stored : 'source';
+}
+
+function setRatingSource(source) {
+    ratingSource = RATING_SOURCE_LABELS[source] ? source : 'source';
+    try {
+        localStorage.setItem(RATING_SOURCE_STORAGE_KEY, ratingSource);
+    } catch (error) {
+        console.error('Could not save rating preference:', error);
+    }
+    updateRatingLabel();
+    refreshReviewViews(true);
+}
+
+function updateRatingLabel() {
+    document.getElementById('avgRatingLabel').textContent = t(RATING_SOURCE_LABELS[ratingSource]);
+}
+
+function getReview(cafe) {
+    return reviews[getCafeId(cafe)] || null;
+}
+
+/**
+ * The rating to show and sort by for a cafe under the selected rating source, or null
+ */
+function getCafeRating(cafe) {
+    const listed = cafe.rating || null;
+    const review = getReview(cafe);
+    const own = review ? review.rating : null;
+    
+    switch (ratingSource) {
+        case 'own':
+            return own;
+        case 'blend':
+            return listed && own ? Math.round((listed + own) / 2 * 10) / 10 : (own || listed);
+        default:
+            return listed;
+    }
+}
+
+function saveReview(cafeId, review) {
+    reviews[cafeId] = review;
+    saveReviews();
+    refreshReviewViews(ratingSource !== 'source');
+}
+
+function deleteReview(cafeId) {
+    if (!reviews[cafeId] || !confirm(t('reviews.confirmDelete'))) return;
+    
+    delete reviews[cafeId];
+    saveReviews();
+    refreshReviewViews(ratingSource !== 'source');
+    showToast(t('reviews.deleted'), 'info', 2500);
+}
+
+/**
+ * Re-render cards and popups after a review change; ratingsChanged also re-sorts and re-filters
+ */
+function refreshReviewViews(ratingsChanged) {
+    if (ratingsChanged) {
+        refreshFilteredView();
+    } else {
+        displayResults();
+    }
+    refreshPopups();
+}
+
+function formatVisitDate(visitedOn) {
+    const [year, month, day] = visitedOn.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(getLocale(), { dateStyle: 'medium' });
+}
+
+function createReviewTags(review) {
+    return review.tags.length > 0 ?
+        html`<div class="review-tags">${review.tags.map(tag => html`<span class="review-tag">${t(REVIEW_TAGS[tag])}</span>`)}</div>` : '';
+}
+
+/**
+ * The user's review as shown in a popup
+ */
+function createReviewSummary(review) {
+    if (!review) return '';
+    
+    return html`
+        <div class="review-summary">
+            <div class="review-summary-header">
+                <strong>${t('reviews.yours')}</strong>
+                <span class="stars">${generateStarRating(review.rating)}</span>
+                ${review.visitedOn ? html`<span class="review-date">${t('reviews.visited', { date: formatVisitDate(review.visitedOn) })}</span>` : ''}
+            </div>
+            ${createReviewTags(review)}
+            ${review.text ? html`<p class="review-text">${review.text}</p>` : ''}
+        </div>
+    `;
+}
+
+function createReviewButtons(cafe) {
+    const cafeId = getCafeId(cafe);
+    const hasReview = Boolean(reviews[cafeId]);
+    
+    return html`
+        <button class="popup-action-btn review-edit-btn" data-action="edit-review" data-cafe-id="${cafeId}">✎ ${t(hasReview ? 'reviews.edit' : 'reviews.write')}</button>
+        ${hasReview ? html`<button class="popup-action-btn" data-action="delete-review" data-cafe-id="${cafeId}">🗑 ${t('reviews.delete')}</button>` : ''}
+    `;
+}
+
+/**
+ * The user's rating and tags plus the review button, as shown on a result card
+ */
+function createCardReview(cafe) {
+    const review = getReview(cafe);
+    
+    return html`
+        <div class="card-review">
+            ${review ? html`<div class="card-review-rating">${t('reviews.yourRating')} <span class="stars">${generateStarRating(review.rating)}</span></div>` : ''}
+            ${review ? createReviewTags(review) : ''}
+            <div class="popup-actions">${createReviewButtons(cafe)}</div>
+            <div class="review-slot"></div>
+        </div>
+    `;
+}
+
+function createReviewForm(cafe) {
+    const review = getReview(cafe) || { rating: 0, text: '', tags: [], visitedOn: getLocalDateString(new Date()) };
+    const formId = `review-${++reviewFormCount}`;
+    
+    return html`
+        <form class="review-form" data-cafe-id="${getCafeId(cafe)}">
+            <div class="review-stars" role="radiogroup" aria-label="${t('reviews.ratingLabel')}">
+                ${[5, 4, 3, 2, 1].map(value => html`
+                    <input type="radio" id="${formId}-star-${value}" name="rating" value="${value}" ${review.rating === value ? html`checked` : ''} required>
+                    <label for="${formId}-star-${value}" title="${t('reviews.stars', { count: value })}">★</label>
+                `)}
+            </div>
+            <label class="review-field">${t('reviews.visitedOn')}
+                <input type="date" name="visitedOn" value="${review.visitedOn || ''}" max="${getLocalDateString(new Date())}">
+            </label>
+            <div class="review-tag-options">
+                ${Object.entries(REVIEW_TAGS).map(([tag, label]) => html`
+                    <label class="review-tag-option">
+                        <input type="checkbox" name="tags" value="${tag}" ${review.tags.includes(tag) ? html`checked` : ''}>
+                        ${t(label)}
+                    </label>
+                `)}
+            </div>
+            <textarea name="text" rows="3" maxlength="1000" placeholder="${t('reviews.placeholder')}">${review.text}</textarea>
+            <div class="popup-actions">
+                <button type="submit" class="popup-action-btn review-save-btn">${t('reviews.save')}</button>
+                <button type="button" class="popup-action-btn" data-action="cancel-review">${t('reviews.cancel')}</button>
+            </div>
+        </form>
+    `;
+}
+
+function getLocalDateString(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Open the review form in the card or popup the button belongs to
+ */
+function openReviewForm(button) {
+    const cafe = findCafeById(button.dataset.cafeId);
+    const container = button.closest('.card-review, .leaflet-popup-content');
+    if (!cafe || !container) return;
+    
+    const slot = container.querySelector('.review-slot');
+    slot.innerHTML = createReviewForm(cafe);
+    container.querySelectorAll('.review-edit-btn').forEach(editButton => editButton.disabled = true);
+    
+    // Typing in a popup form must not pan or zoom the map
+    slot.querySelector('form').addEventListener('keydown', event => event.stopPropagation());
+    updateOpenPopup(button.dataset.cafeId);
+}
+
+function closeReviewForm(button) {
+    const container = button.closest('.card-review, .leaflet-popup-content');
+    const form = button.closest('.review-form');
+    if (!container || !form) return;
+    
+    const cafeId = form.dataset.cafeId;
+    form.remove();
+    container.querySelectorAll('.review-edit-btn').forEach(editButton => editButton.disabled = false);
+    updateOpenPopup(cafeId);
+}
+
+function updateOpenPopup(cafeId) {
+    const marker = markersByKey.get(cafeId);
+    if (marker && marker.isPopupOpen()) {
+        marker.getPopup().update();
+    }
+}
+
+function submitReviewForm(form) {
+    const data = new FormData(form);
+    const rating = parseInt(data.get('rating'), 10);
+    
+    if (!(rating >= 1 && rating <= 5)) {
+        showToast(t('reviews.pickRating'), 'error');
+        return;
+    }
+    
+    saveReview(form.dataset.cafeId, {
+        rating: rating,
+        text: String(data.get('text') || '').trim(),
+        tags: data.getAll('tags').filter(tag => REVIEW_TAGS[tag]),
+        visitedOn: data.get('visitedOn') || null,
+        updatedAt: new Date().toISOString()
+    });
+    showToast(t('reviews.saved'), 'success', 2500);
+}
+
+/**
+ * Import and export
+ * The current filtered results can be exported as GeoJSON, CSV or GPX, and files in any of
+ * those formats can be imported and shown as if they came from a search.
+ */
+const CAFE_SPECIALTIES = ['coffee', 'cafe', 'bakery', 'roastery'];
+const EXPORT_FIELDS = ['id', 'name', 'lat', 'lng', 'address', 'rating', 'specialty', 'hours', 'phone', 'description', 'amenities', 'menu'];
+const GPX_NAMESPACE = 'https://github.com/codiezodie/MochaMap/gpx';
+
+const cafeExporters = {
+    geojson: {
+        extension: 'geojson',
+        mimeType: 'application/geo+json',
+        serialize(cafeList) {
+            return JSON.stringify({
+                type: 'FeatureCollection',
+                features: cafeList.map(cafe => ({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [cafe.lng, cafe.lat] },
+                    properties: pickExportFields(cafe, ['lat', 'lng'])
+                }))
+            }, null, 2);
+        }
+    },
+    
+    csv: {
+        extension: 'csv',
+        mimeType: 'text/csv',
+        serialize(cafeList) {
+            const rows = cafeList.map(cafe => EXPORT_FIELDS.map(field => toCsvCell(field === 'menu' ? formatMenuText(cafe.menu) : cafe[field])).join(','));
+            return [EXPORT_FIELDS.join(','), ...rows].join('\r\n');
+        }
+    },
+    
+    gpx: {
+        extension: 'gpx',
+        mimeType: 'application/gpx+xml',
+        serialize(cafeList) {
+            const waypoints = cafeList.map(cafe => `
+    <wpt lat="${cafe.lat}" lon="${cafe.lng}">
+        <name>${escapeXml(cafe.name)}</name>
+        ${cafe.address ? `<cmt>${escapeXml(cafe.address)}</cmt>` : ''}
+        ${cafe.description ? `<desc>${escapeXml(cafe.description)}</desc>` : ''}
+        ${cafe.specialty ? `<type>${escapeXml(cafe.specialty)}</type>` : ''}
+        <extensions>
+            ${cafe.rating ? `<mochamap:rating>${cafe.rating}</mochamap:rating>` : ''}
+            ${cafe.hours ? `<mochamap:hours>${escapeXml(cafe.hours)}</mochamap:hours>` : ''}
+            ${cafe.phone ? `<mochamap:phone>${escapeXml(cafe.phone)}</mochamap:phone>` : ''}
+            ${cafe.amenities && cafe.amenities.length > 0 ? `<mochamap:amenities>${escapeXml(cafe.amenities.join(';'))}</mochamap:amenities>` : ''}
+            ${cafe.menu && cafe.menu.length > 0 ? `<mochamap:menu>${escapeXml(formatMenuText(cafe.menu))}</mochamap:menu>` : ''}
+            ${cafe.id ? `<mochamap:id>${escapeXml(cafe.id)}</mochamap:id>` : ''}
+        </extensions>
+    </wpt>`).join('');
+            
+            return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="MochaMap" xmlns="http://www.topografix.com/GPX/1/1" xmlns:mochamap="${GPX_NAMESPACE}">${waypoints}
+</gpx>
+`;
+        }
+    }
+};
+
+function pickExportFields(cafe, exclude = []) {
+    const picked = {};
+    EXPORT_FIELDS.filter(field => !exclude.includes(field)).forEach(field => {
+        if (cafe[field] !== undefined && cafe[field] !== null && cafe[field] !== '') {
+            picked[field] = cafe[field];
+        }
+    });
+    return picked;
+}
+
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    
+    // Lists such as amenities are written as "wifi;outlets"
+    let text = Array.isArray(value) ? value.join(';') : String(value);
+    // Stop spreadsheets from evaluating text cells as formulas; phone numbers such as
+    // "+44 20 7946 0000" and signed numbers are left as they are
+    if (typeof value === 'string' && /^[=+\-@]/.test(text) && !/^[+-][\d\s().-]+$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A menu as "espresso:3;latte:4.5;mocha" (drink id, then the price if known), for CSV and GPX
+ */
+function formatMenuText(menu) {
+    return (menu || []).map(item => item.price !== undefined ? `${item.drink}:${item.price}` : item.drink).join(';');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Export the current filtered results in the selected format
+ */
+function exportCafes() {
+    const format = document.getElementById('exportFormat').value;
+    const exporter = cafeExporters[format];
+    
+    if (filteredCafes.length === 0) {
+        showToast(t('export.empty'), 'error');
+        return;
+    }
+    
+    downloadFile(exporter.serialize(filteredCafes), exporter.mimeType, `mochamap-cafes-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`);
+    showToast(t('export.done', { count: filteredCafes.length, format: format.toUpperCase() }), 'success');
+}
+
+function downloadFile(content, mimeType, fileName) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Read an imported file and show its cafes
+ */
+function importCafesFile(file) {
+    const reader = new FileReader();
+    
+    reader.onload = () => {
+        let result;
+        try {
+            result = parseCafeFile(file.name, String(reader.result));
+        } catch (error) {
+            console.error('Import error:', error);
+            showImportReport(file.name, { cafes: [], errors: [error.message] });
+            showToast(t('import.failed', { file: file.name }), 'error');
+            return;
+        }
+        
+        showImportReport(file.name, result);
+        
+        if (result.cafes.length > 0) {
+            displayCafesWithoutSearch(result.cafes);
+            showToast(t('import.done', { count: result.cafes.length, file: file.name }), 'success');
+        } else {
+            showToast(t('import.noCafes', { file: file.name }), 'error');
+        }
+    };
+    reader.onerror = () => showToast(t('import.readFailed', { file: file.name }), 'error');
+    reader.readAsText(file);
+}
+
+/**
+ * Parse file contents by extension (or content sniffing) into { cafes, errors }
+ */
+function parseCafeFile(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const trimmed = text.trim();
+    
+    if (extension === 'gpx' || trimmed.startsWith('<')) {
+        return parseGpxCafes(trimmed);
+    }
+    if (extension === 'geojson' || extension === 'json' || trimmed.startsWith('{')) {
+        return parseGeoJsonCafes(trimmed);
+    }
+    return parseCsvCafes(text);
+}
+
+function parseGeoJsonCafes(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t('import.invalidJson'));
+    }
+    
+    const features = data.type === 'FeatureCollection' ? data.features : data.type === 'Feature' ? [data] : null;
+    if (!Array.isArray(features)) {
+        throw new Error(t('import.notFeatureCollection'));
+    }
+    
+    return collectImportRows(features.map(feature => {
+        const geometry = feature && feature.geometry;
+        if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+            return { error: t('import.notPoint') };
+        }
+        return { ...(feature.properties || {}), lng: geometry.coordinates[0], lat: geometry.coordinates[1] };
+    }), 'import.feature');
+}
+
+function parseCsvCafes(text) {
+    const rows = parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length < 2) {
+        throw new Error(t('import.csvTooShort'));
+    }
+    
+    const aliases = { latitude: 'lat', longitude: 'lng', lon: 'lng', long: 'lng' };
+    const header = rows[0].map(column => {
+        const key = column.trim().toLowerCase();
+        return aliases[key] || key;
+    });
+    
+    if (!header.includes('name') || !header.includes('lat') || !header.includes('lng')) {
+        throw new Error(t('import.csvColumns'));
+    }
+    
+    // Row numbers in errors match the line numbers users see in a spreadsheet
+    return collectImportRows(rows.slice(1).map(row => {
+        const record = {};
+        header.forEach((column, index) => {
+            const cell = (row[index] || '').trim();
+            record[column] = cell.startsWith("'") && /^'[=+\-@]/.test(cell) ? cell.slice(1) : cell;
+        });
+        return record;
+    }), 'import.row', 2);
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function parseGpxCafes(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(t('import.invalidGpx'));
+    }
+    
+    const waypoints = [...doc.getElementsByTagName('wpt')];
+    if (waypoints.length === 0) {
+        throw new Error(t('import.noWaypoints'));
+    }
+    
+    const childText = (element, name) => {
+        const child = [...element.getElementsByTagName('*')].find(node => node.localName === name);
+        return child ? child.textContent.trim() : '';
+    };
+    
+    return collectImportRows(waypoints.map(wpt => ({
+        name: childText(wpt, 'name'),
+        lat: wpt.getAttribute('lat'),
+        lng: wpt.getAttribute('lon'),
+        description: childText(wpt, 'desc'),
+        address: childText(wpt, 'cmt'),
+        specialty: childText(wpt, 'type'),
+        rating: childText(wpt, 'rating'),
+        hours: childText(wpt, 'hours'),
+        phone: childText(wpt, 'phone'),
+        amenities: childText(wpt, 'amenities'),
+        menu: childText(wpt, 'menu'),
+        id: childText(wpt, 'id')
+    })), 'import.waypoint');
+}
+
+/**
+ * Validate raw import records and collect the valid cafes and per-row errors
+ * (label is the message key naming a record, e.g. "import.row")
+ */
+function collectImportRows(records, label, firstNumber = 1) {
+    const cafeList = [];
+    const errors = [];
+    
+    records.forEach((record, index) => {
+        const problems = record.error ? [record.error] : [];
+        const cafe = record.error ? null : normalizeImportedCafe(record, problems);
+        
+        if (problems.length > 0) {
+            errors.push(t('import.recordError', { record: t(label), number: index + firstNumber, problems: problems.join('; ') }));
+        } else {
+            cafeList.push(cafe);
+        }
+    });
+    
+    return { cafes: cafeList, errors: errors };
+}
+
+function normalizeImportedCafe(record, problems) {
+    const name = String(record.name || '').trim();
+    const lat = parseFloat(record.lat);
+    const lng = parseFloat(record.lng);
+    const rating = record.rating === undefined || record.rating === '' || record.rating === null ? null : parseFloat(record.rating);
+    const specialty = String(record.specialty || 'cafe').trim().toLowerCase();
+    // Amenities come as a list (GeoJSON) or as "wifi;outlets" text (CSV and GPX), ids in any case
+    const amenityValues = (Array.isArray(record.amenities) ? record.amenities : String(record.amenities || '').split(/[;,]/))
+        .map(value => String(value).trim()).filter(Boolean);
+    const findAmenity = value => CAFE_AMENITIES.find(amenity => amenity.id.toLowerCase() === value.toLowerCase());
+    const unknownAmenities = amenityValues.filter(value => !findAmenity(value));
+    // Menus come as a list of { drink, price } (GeoJSON) or as "espresso:3;latte" text
+    const menuItems = (Array.isArray(record.menu) ? record.menu : String(record.menu || '').split(';')
+        .map(entry => entry.trim()).filter(Boolean)
+        .map(entry => ({ drink: entry.split(':')[0], price: entry.split(':')[1] })))
+        .map(item => ({
+            drink: String(item && item.drink || '').trim().toLowerCase(),
+            price: item && item.price !== undefined && item.price !== null && String(item.price).trim() !== '' ? parseFloat(item.price) : undefined
+        }));
+    const unknownDrinks = menuItems.filter(item => !getCoffeeVariety(item.drink));
+    const invalidPrices = menuItems.filter(item => item.price !== undefined && !(item.price >= 0));
+    
+    if (!name) problems.push(t('import.nameMissing'));
+    if (isNaN(lat) || lat < -90 || lat > 90) problems.push(t('import.invalidLatitude', { value: String(record.lat) }));
+    if (isNaN(lng) || lng < -180 || lng > 180) problems.push(t('import.invalidLongitude', { value: String(record.lng) }));
+    if (rating !== null && (isNaN(rating) || rating < 0 || rating > 5)) problems.push(t('import.invalidRating', { value: String(record.rating) }));
+    if (!CAFE_SPECIALTIES.includes(specialty)) problems.push(t('import.unknownSpecialty', { value: String(record.specialty) }));
+    if (unknownAmenities.length > 0) problems.push(t('import.unknownAmenity', { value: unknownAmenities.join(';') }));
+    if (unknownDrinks.length > 0) problems.push(t('import.unknownDrink', { value: unknownDrinks.map(item => item.drink).join(';') }));
+    if (invalidPrices.length > 0) problems.push(t('import.invalidPrice', { value: invalidPrices.map(item => item.drink).join(';') }));
+    
+    const cafe = {
+        name: name,
+        lat: lat,
+        lng: lng,
+        address: String(record.address || '').trim() || 'Address not available',
+        rating: rating,
+        specialty: specialty,
+        description: String(record.description || '').trim(),
+        hours: String(record.hours || '').trim() || 'Hours not listed',
+        phone: String(record.phone || '').trim(),
+        amenities: [...new Set(amenityValues.filter(findAmenity).map(value => findAmenity(value).id))],
+        menu: menuItems.map(item => item.price !== undefined ? { drink: item.drink, price: item.price } : { drink: item.drink })
+    };
+    // An exported id keeps reviews, favorites and curator edits attached to the cafe
+    if (typeof record.id === 'string' && record.id.trim()) {
+        cafe.id = record.id.trim();
+    }
+    return cafe;
+}
+
+function showImportReport(fileName, result) {
+    const report = document.getElementById('importReport');
+    
+    if (result.errors.length === 0) {
+        report.style.display = 'none';
+        report.innerHTML = '';
+        return;
+    }
+    
+    const shownErrors = result.errors.slice(0, 20).map(error => html`<li>${error}</li>`);
+    const moreErrors = result.errors.length > 20 ? html`<li>${t('import.moreErrors', { count: result.errors.length - 20 })}</li>` : '';
+    
+    report.innerHTML = html`
+        <div class="import-report-header">
+            <strong>${t('import.summary', { file: fileName, imported: result.cafes.length, skipped: result.errors.length })}</strong>
+            <button class="directions-close-btn" data-action="dismiss-import-report" aria-label="${t('import.dismiss')}">✕</button>
+        </div>
+        <ul>${shownErrors}${moreErrors}</ul>
+    `;
+    report.style.display = 'block';
+}
+
+/**
+ * Curator mode
+ * While curating, clicking the map adds a cafe there, markers can be dragged to a new position
+ * and popups get an "Edit details" form. Changes are kept in localStorage as an overlay by cafe
+ * id, { isNew, original, fields, updatedAt }: fields holds the changed fields (all of them for
+ * added cafes) and original the cafe as the provider had it before the first edit.
+ * displayCafes applies the overlay to every result set; the provider data is never changed.
+ */
+const EDITS_STORAGE_KEY = 'mochamap.edits';
+const EDIT_HISTORY_LIMIT = 50;
+const CAFE_EDIT_FIELDS = ['name', 'lat', 'lng', 'address', 'rating', 'specialty', 'description', 'hours', 'phone', 'website', 'amenities', 'currency', 'menu'];
+const EDIT_ACTIONS = { add: 'curator.action.add', edit: 'curator.action.edit', move: 'curator.action.move', revert: 'curator.action.revert' };
+
+function loadCafeEdits() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(EDITS_STORAGE_KEY));
+        if (stored && stored.cafes && typeof stored.cafes === 'object') {
+            return {
+                cafes: stored.cafes,
+                history: Array.isArray(stored.history) ? stored.history.filter(step => step && EDIT_ACTIONS[step.action]) : []
+            };
+        }
+    } catch (error) {
+        console.error('Could not read saved cafe edits:', error);
+    }
+    return { cafes: {}, history: [] };
+}
+
+function saveCafeEdits() {
+    try {
+        localStorage.setItem(EDITS_STORAGE_KEY, JSON.stringify({ cafes: cafeEdits, history: editHistory }));
+    } catch (error) {
+        console.error('Could not save cafe edits:', error);
+        showToast(t('curator.saveFailed'), 'error');
+    }
+}
+
+/**
+ * The cafe list with the overlay applied: edited cafes are replaced by edited copies. Added
+ * cafes are appended to search results only (applyFilters keeps the ones inside the search
+ * area); saved collections and imported files are shown as they are.
+ */
+function applyCafeEdits(cafeList) {
+    const listed = new Set();
+    const edited = cafeList.map(cafe => {
+        const cafeId = getCafeId(cafe);
+        listed.add(cafeId);
+        return cafeEdits[cafeId] ? { ...cafe, ...cafeEdits[cafeId].fields } : cafe;
+    });
+    const added = Object.entries(cafeEdits)
+        .filter(([cafeId, edit]) => edit.isNew && !listed.has(cafeId) && hasSearchArea())
+        .map(([cafeId, edit]) => ({ ...edit.fields, id: cafeId }));
+    
+    return [...edited, ...added];
+}
+
+function pickCafeFields(cafe) {
+    const picked = {};
+    CAFE_EDIT_FIELDS.forEach(field => {
+        if (cafe[field] !== undefined) {
+            picked[field] = field === 'menu' ? cafe.menu.map(item => ({ ...item })) : cafe[field];
+        }
+    });
+    return picked;
+}
+
+function isSameFieldValue(a, b) {
+    const isEmpty = value => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    // Menus are compared regardless of the order of their items
+    const key = value => Array.isArray(value) ? value.map(item => JSON.stringify(item)).sort().join() : JSON.stringify(value);
+    return (isEmpty(a) && isEmpty(b)) || key(a) === key(b);
+}
+
+function getEditedCafeName(edit) {
+    return edit.fields.name || edit.original.name;
+}
+
+/**
+ * Replace the overlay entry of a cafe (null drops it), keeping the old one for undo
+ */
+function recordCafeEdit(cafeId, entry, action) {
+    editHistory.push({ cafeId: cafeId, action: action, before: cafeEdits[cafeId] || null });
+    if (editHistory.length > EDIT_HISTORY_LIMIT) {
+        editHistory.splice(0, editHistory.length - EDIT_HISTORY_LIMIT);
+    }
+    setCafeEdit(cafeId, entry);
+}
+
+function setCafeEdit(cafeId, entry) {
+    if (entry) {
+        cafeEdits[cafeId] = entry;
+    } else {
+        delete cafeEdits[cafeId];
+    }
+    saveCafeEdits();
+    refreshCuratorViews();
+}
+
+/**
+ * Re-apply the overlay to the current results; the map keeps its view and markers are updated in place
+ */
+function refreshCuratorViews() {
+    displayCafes(sourceCafes);
+    renderCuratorPanel();
+}
+
+function addCafe(fields) {
+    const cafeId = `local:${Date.now().toString(36)}`;
+    recordCafeEdit(cafeId, { isNew: true, original: null, fields: fields, updatedAt: new Date().toISOString() }, 'add');
+    showToast(t(hasSearchArea() && isWithinSearchArea(fields) ? 'curator.added' : 'curator.addedOutside', { name: fields.name }), 'success');
+}
+
+/**
+ * Change fields of a shown cafe. Fields set back to the provider's value leave the overlay,
+ * and an edited cafe with no changes left is dropped from it. Returns false if nothing changed.
+ */
+function editCafe(cafeId, fields, action = 'edit') {
+    const cafe = cafes.find(candidate => candidate.id === cafeId);
+    const current = cafeEdits[cafeId];
+    if (!cafe) return false;
+    
+    const isNew = Boolean(current && current.isNew);
+    const original = current ? current.original : pickCafeFields(cafe);
+    const changed = { ...(current ? current.fields : {}), ...fields };
+    if (!isNew) {
+        Object.keys(changed).forEach(field => {
+            if (isSameFieldValue(changed[field], original[field])) {
+                delete changed[field];
+            }
+        });
+    }
+    
+    const entry = isNew || Object.keys(changed).length > 0 ?
+        { isNew: isNew, original: original, fields: changed, updatedAt: new Date().toISOString() } : null;
+    
+    if (!entry && !current) {
+        showToast(t('curator.noChanges'), 'info', 2500);
+        return false;
+    }
+    recordCafeEdit(cafeId, entry, action);
+    return true;
+}
+
+/**
+ * Marker dragend: store the new position (rounded to about 10 cm)
+ */
+function moveCafe(cafeId, latLng) {
+    const cafe = cafes.find(candidate => candidate.id === cafeId);
+    const position = { lat: Math.round(latLng.lat * 1e6) / 1e6, lng: Math.round(latLng.lng * 1e6) / 1e6 };
+    
+    if (cafe && editCafe(cafeId, position, 'move')) {
+        showToast(t('curator.moved', { name: cafe.name }), 'success', 2500);
+    }
+}
+
+function revertCafe(cafeId) {
+    const edit = cafeEdits[cafeId];
+    const name = edit ? getEditedCafeName(edit) : '';
+    if (!edit || !confirm(t(edit.isNew ? 'curator.confirmRemove' : 'curator.confirmRevert', { name: name }))) return;
+    
+    recordCafeEdit(cafeId, null, 'revert');
+    showToast(t(edit.isNew ? 'curator.removed' : 'curator.reverted', { name: name }), 'info', 2500);
+}
+
+function undoCafeEdit() {
+    const step = editHistory.pop();
+    if (!step) return;
+    
+    setCafeEdit(step.cafeId, step.before);
+    showToast(t('curator.undone', { action: t(EDIT_ACTIONS[step.action]) }), 'info', 2500);
+}
+
+function discardCafeEdits() {
+    if (Object.keys(cafeEdits).length === 0 || !confirm(t('curator.confirmDiscard'))) return;
+    
+    cafeEdits = {};
+    editHistory = [];
+    saveCafeEdits();
+    refreshCuratorViews();
+    showToast(t('curator.discarded'), 'info', 2500);
+}
+
+/**
+ * Switch curator mode: markers become draggable and popups show the edit buttons
+ */
+function setCurating(enabled) {
+    isCurating = enabled;
+    document.body.classList.toggle('is-curating', enabled);
+    
+    markers.forEach(marker => {
+        marker.options.draggable = enabled;
+        // Markers inside a collapsed cluster get their drag handler once they are added to the map
+        if (marker.dragging) {
+            if (enabled) {
+                marker.dragging.enable();
+            } else {
+                marker.dragging.disable();
+            }
+        }
+    });
+    
+    if (!enabled && newCafePopup) {
+        map.closePopup(newCafePopup);
+    }
+    refreshPopups();
+    renderCuratorPanel();
+    showToast(t(enabled ? 'curator.on' : 'curator.off'), 'info', 3000);
+}
+
+function handleMapClick(event) {
+    if (isCurating && !clickClosesPopup) {
+        openNewCafeForm(event.latlng);
+    }
+}
+
+function openNewCafeForm(latLng) {
+    const draft = {
+        lat: Math.round(latLng.lat * 1e6) / 1e6,
+        lng: Math.round(latLng.lng * 1e6) / 1e6,
+        specialty: 'cafe',
+        amenities: [],
+        menu: []
+    };
+    
+    newCafePopup = L.popup({ minWidth: 260, maxWidth: 320 })
+        .setLatLng(latLng)
+        .setContent(String(createCafeForm(draft, '')))
+        .openOn(map);
+    
+    const form = newCafePopup.getElement().querySelector('.cafe-form');
+    form.addEventListener('keydown', event => event.stopPropagation());
+    form.querySelector('[name="name"]').focus();
+}
+
+/**
+ * "Edit details" (and "Undo my changes") buttons for popups while curating
+ */
+function createCuratorButtons(cafe) {
+    if (!isCurating) return '';
+    
+    const cafeId = getCafeId(cafe);
+    const edit = cafeEdits[cafeId];
+    return html`
+        <button class="popup-action-btn review-edit-btn" data-action="edit-cafe" data-cafe-id="${cafeId}">✏️ ${t('curator.editDetails')}</button>
+        ${edit ? html`<button class="popup-action-btn" data-action="revert-cafe" data-cafe-id="${cafeId}">↩ ${t(edit.isNew ? 'curator.remove' : 'curator.revert')}</button>` : ''}
+    `;
+}
+
+function createCuratorBadge(edit) {
+    return edit ? html`<span class="curator-badge">${t(edit.isNew ? 'curator.badgeAdded' : 'curator.badgeEdited')}</span>` : '';
+}
+
+/**
+ * A form for every field of the cafe model; cafeId is empty for a new cafe
+ */
+function createCafeForm(cafe, cafeId) {
+    const menu = cafe.menu || [];
+    
+    return html`
+        <form class="cafe-form" data-cafe-id="${cafeId}">
+            <strong>${t(cafeId ? 'curator.editTitle' : 'curator.newTitle')}</strong>
+            <label class="cafe-form-field">${t('curator.field.name')}
+                <input type="text" name="name" value="${cafe.name}" maxlength="120" required>
+            </label>
+            <label class="cafe-form-field">${t('curator.field.address')}
+                <input type="text" name="address" value="${cafe.address}" maxlength="200">
+            </label>
+            <div class="cafe-form-row">
+                <label class="cafe-form-field">${t('curator.field.lat')}
+                    <input type="number" name="lat" value="${cafe.lat}" min="-90" max="90" step="any" required>
+                </label>
+                <label class="cafe-form-field">${t('curator.field.lng')}
+                    <input type="number" name="lng" value="${cafe.lng}" min="-180" max="180" step="any" required>
+                </label>
+            </div>
+            <div class="cafe-form-row">
+                <label class="cafe-form-field">${t('curator.field.specialty')}
+                    <select name="specialty">
+                        ${CAFE_SPECIALTIES.map(specialty => html`<option value="${specialty}" ${specialty === cafe.specialty ? html`selected` : ''}>${t(`specialty.${specialty}`)}</option>`)}
+                    </select>
+                </label>
+                <label class="cafe-form-field">${t('curator.field.rating')}
+                    <input type="number" name="rating" value="${cafe.rating}" min="0" max="5" step="0.1">
+                </label>
+            </div>
+            <label class="cafe-form-field">${t('curator.field.hours')}
+                <input type="text" name="hours" value="${cafe.hours}" maxlength="200" placeholder="${t('curator.hoursPlaceholder')}">
+            </label>
+            <div class="cafe-form-row">
+                <label class="cafe-form-field">${t('curator.field.phone')}
+                    <input type="tel" name="phone" value="${cafe.phone}" maxlength="40">
+                </label>
+                <label class="cafe-form-field">${t('curator.field.website')}
+                    <input type="url" name="website" value="${cafe.website}" maxlength="200" placeholder="https://">
+                </label>
+            </div>
+            <label class="cafe-form-field">${t('curator.field.description')}
+                <textarea name="description" rows="2" maxlength="500">${cafe.description}</textarea>
+            </label>
+            <fieldset class="cafe-form-menu cafe-form-amenities">
+                <legend>${t('curator.field.amenities')}</legend>
+                ${CAFE_AMENITIES.map(amenity => html`
+                    <label><input type="checkbox" name="amenities" value="${amenity.id}" ${hasAmenity(cafe, amenity.id) ? html`checked` : ''}> ${amenity.icon} ${t(`amenity.${amenity.id}`)}</label>
+                `)}
+            </fieldset>
+            <fieldset class="cafe-form-menu">
+                <legend>${t('curator.field.menu')}</legend>
+                ${COFFEE_VARIETIES.map(variety => {
+                    const item = menu.find(entry => entry.drink === variety.id);
+                    return html`
+                        <div class="cafe-form-drink">
+                            <label><input type="checkbox" name="drinks" value="${variety.id}" ${item ? html`checked` : ''}> ${t(`coffee.${variety.id}`)}</label>
+                            <input type="number" name="price:${variety.id}" value="${item ? item.price : ''}" min="0" step="0.05" placeholder="${t('curator.price')}" aria-label="${t('curator.priceOf', { drink: t(`coffee.${variety.id}`) })}">
+                        </div>
+                    `;
+                })}
+                <label class="cafe-form-field">${t('curator.field.currency')}
+                    <input type="text" name="currency" value="${cafe.currency}" maxlength="3" pattern="[A-Za-z]{3}" placeholder="USD">
+                </label>
+            </fieldset>
+            <div class="popup-actions">
+                <button type="submit" class="popup-action-btn review-save-btn">${t('curator.save')}</button>
+                <button type="button" class="popup-action-btn" data-action="cancel-cafe-form">${t('reviews.cancel')}</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Open the edit form in the popup the button belongs to
+ */
+function openCafeForm(button) {
+    const cafe = cafes.find(candidate => candidate.id === button.dataset.cafeId);
+    const container = button.closest('.leaflet-popup-content');
+    if (!cafe || !container) return;
+    
+    const slot = container.querySelector('.review-slot');
+    slot.innerHTML = createCafeForm(cafe, cafe.id);
+    container.querySelectorAll('.review-edit-btn').forEach(editButton => editButton.disabled = true);
+    
+    // Typing in a popup form must not pan or zoom the map
+    slot.querySelector('form').addEventListener('keydown', event => event.stopPropagation());
+    updateOpenPopup(cafe.id);
+}
+
+function closeCafeForm(button) {
+    const form = button.closest('.cafe-form');
+    if (!form) return;
+    
+    if (!form.dataset.cafeId) {
+        map.closePopup(newCafePopup);
+        return;
+    }
+    
+    const container = form.closest('.leaflet-popup-content');
+    form.remove();
+    container.querySelectorAll('.review-edit-btn').forEach(editButton => editButton.disabled = false);
+    updateOpenPopup(form.dataset.cafeId);
+}
+
+function submitCafeForm(form) {
+    const data = new FormData(form);
+    const problems = [];
+    const cafe = normalizeImportedCafe({ ...Object.fromEntries(data), amenities: data.getAll('amenities') }, problems);
+    const currency = String(data.get('currency') || '').trim().toUpperCase();
+    
+    if (currency && !/^[A-Z]{3}$/.test(currency)) {
+        problems.push(t('curator.invalidCurrency', { value: currency }));
+    }
+    if (problems.length > 0) {
+        showToast(problems.join('; '), 'error');
+        return;
+    }
+    
+    const fields = {
+        ...cafe,
+        website: String(data.get('website') || '').trim(),
+        currency: currency,
+        menu: data.getAll('drinks').filter(drink => getCoffeeVariety(drink)).map(drink => {
+            const price = parseFloat(data.get(`price:${drink}`));
+            return price >= 0 ? { drink: drink, price: price } : { drink: drink };
+        })
+    };
+    
+    if (!form.dataset.cafeId) {
+        map.closePopup(newCafePopup);
+        addCafe(fields);
+    } else if (editCafe(form.dataset.cafeId, fields)) {
+        showToast(t('curator.saved', { name: fields.name }), 'success', 2500);
+    }
+}
+
+/**
+ * Download the overlay as GeoJSON: each added or edited cafe with its current fields, plus
+ * (for edited cafes) the provider's values of the changed fields. The file can be imported.
+ */
+function exportCafeEdits() {
+    const entries = Object.entries(cafeEdits);
+    if (entries.length === 0) {
+        showToast(t('curator.nothingToExport'), 'error');
+        return;
+    }
+    
+    const features = entries.map(([cafeId, edit]) => {
+        const { lat, lng, ...fields } = pickCafeFields({ ...edit.original, ...edit.fields });
+        const properties = { id: cafeId, change: edit.isNew ? 'added' : 'edited', updatedAt: edit.updatedAt, ...fields };
+        if (!edit.isNew) {
+            properties.previous = Object.fromEntries(Object.keys(edit.fields).map(field => [field, edit.original[field] === undefined ? null : edit.original[field]]));
+        }
+        return { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties: properties };
+    });
+    
+    downloadFile(JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2), 'application/geo+json',
+        `mochamap-edits-${new Date().toISOString().slice(0, 10)}.geojson`);
+    showToast(t('curator.exported', { count: features.length }), 'success');
+}
+
+function describeCafeEdit(edit) {
+    if (edit.isNew) {
+        return t('curator.addedHere', { address: edit.fields.address });
+    }
+    const labels = Object.keys(edit.fields).map(field => t(field === 'lat' || field === 'lng' ? 'curator.field.position' : `curator.field.${field}`));
+    return t('curator.changed', { fields: [...new Set(labels)].join(', ') });
+}
+
+function renderCuratorPanel() {
+    const toggle = document.getElementById('curatorToggle');
+    toggle.classList.toggle('is-active', isCurating);
+    toggle.setAttribute('aria-pressed', String(isCurating));
+    toggle.querySelector('.btn-text').textContent = t(isCurating ? 'curator.stop' : 'curator.start');
+    
+    const mapButton = document.getElementById('curatorBtn');
+    mapButton.classList.toggle('is-active', isCurating);
+    mapButton.setAttribute('aria-pressed', String(isCurating));
+    
+    document.getElementById('undoEditBtn').disabled = editHistory.length === 0;
+    
+    const entries = Object.entries(cafeEdits).sort(([, a], [, b]) => b.updatedAt.localeCompare(a.updatedAt));
+    const list = document.getElementById('curatorChanges');
+    if (entries.length === 0) {
+        list.innerHTML = html`<div class="collection-empty">${t('curator.emptyHint')}</div>`;
+        return;
+    }
+    
+    list.innerHTML = html`${entries.map(([cafeId, edit]) => html`
+        <div class="collection-item">
+            <div class="collection-item-info">
+                <div class="collection-item-name">${getEditedCafeName(edit)} ${createCuratorBadge(edit)}</div>
+                <div class="collection-item-address">${describeCafeEdit(edit)}</div>
+            </div>
+            <button class="collection-remove-btn" data-action="revert-cafe" data-cafe-id="${cafeId}" aria-label="${t(edit.isNew ? 'curator.removeCafe' : 'curator.revertCafe', { name: getEditedCafeName(edit) })}">↩</button>
+        </div>
+    `)}`;
+}
+
+/**
+ * Offline support
+ * The service worker (sw.js) caches the app shell and map tiles; the last search results
+ * are kept in localStorage so they can be shown again without a connection.
+ */
+const LAST_RESULTS_STORAGE_KEY = 'mochamap.lastResults';
+
+function setupOfflineSupport() {
+    if ('serviceWorker' in navigator && window.location.protocol !== 'file:') {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+    
+    window.addEventListener('online', () => {
+        updateOfflineIndicator();
+        showToast(t('offline.backOnline'), 'success');
+    });
+    window.addEventListener('offline', () => {
+        updateOfflineIndicator();
+        showToast(t('offline.nowOffline'), 'info');
+    });
+    updateOfflineIndicator();
+}
+
+function updateOfflineIndicator() {
+    const offline = !navigator.onLine;
+    document.getElementById('offlineBanner').style.display = offline ? 'block' : 'none';
+    document.body.classList.toggle('is-offline', offline);
+}
+
+function saveLastResults(location, radius, options, cafeList) {
+    try {
+        localStorage.setItem(LAST_RESULTS_STORAGE_KEY, JSON.stringify({
+            center: location,
+            bounds: searchBounds,
+            radius: radius,
+            options: options,
+            query: searchQuery,
+            savedAt: Date.now(),
+            cafes: cafeList.map(({ distance, ...cafe }) => cafe)
+        }));
+    } catch (error) {
+        console.error('Could not save last results:', error);
+    }
+}
+
+function loadLastResults() {
+    try {
+        return JSON.parse(localStorage.getItem(LAST_RESULTS_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Show the last saved search results; returns false when there are none
+ */
+function showSavedResults() {
+    const saved = loadLastResults();
+    if (!saved || !Array.isArray(saved.cafes)) {
+        showToast(t('offline.noSavedResults'), 'error');
+        return false;
+    }
+    
+    searchController.cancel();
+    searchCenter = saved.center;
+    searchBounds = saved.bounds || null;
+    searchQuery = saved.query || '';
+    lastSearchOptions = saved.options || {};
+    loadedRadius = saved.radius;
+    updateRadiusCircle();
+    
+    displayCafes(saved.cafes);
+    
+    const savedAt = new Date(saved.savedAt).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+    showToast(saved.query ?
+        t('offline.savedResultsFor', { query: saved.query, date: savedAt }) :
+        t('offline.savedResults', { date: savedAt }), 'info', 6000);
+    return true;
+}
+
+/**
+ * Calculate distance between two coordinates
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Radius of the Earth in km
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = 
+        Math.sin(dLat/2) * Math.sin(dLat/2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
+        Math.sin(dLon/2) * Math.sin(dLon/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c; // Distance in km
+}
+
+/**
+ * Opening hours
+ * Schedules are arrays indexed by Date.getDay() (0 = Sunday). Each day holds a list of
+ * [startMinute, endMinute] intervals; an end past 1440 means the cafe closes after midnight.
+ */
+const OSM_WEEKDAYS = { Su: 0, Mo: 1, Tu: 2, We: 3, Th: 4, Fr: 5, Sa: 6 };
+const parsedHoursCache = new Map();
+let lastOpenStatusKey = '';
+
+/**
+ * Parse an hours string ("6:00 AM - 8:00 PM" or OSM opening_hours) into a weekly schedule
+ * Returns null when the string cannot be understood.
+ */
+function parseOpeningHours(hoursText) {
+    if (!hoursText) return null;
+    
+    const text = hoursText.trim();
+    if (parsedHoursCache.has(text)) {
+        return parsedHoursCache.get(text);
+    }
+    
+    const schedule = parseSimpleHours(text) || parseOsmOpeningHours(text);
+    parsedHoursCache.set(text, schedule);
+    return schedule;
+}
+
+/**
+ * Parse free text like "6:00 AM - 8:00 PM" or "7 AM - 11 AM, 1 PM - 6 PM" (same every day)
+ */
+function parseSimpleHours(text) {
+    if (/^(24\/7|open 24 hours)$/i.test(text)) {
+        return createWeekSchedule([0, 1, 2, 3, 4, 5, 6], [[0, 1440]]);
+    }
+    
+    const rangePattern = /^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)\s*[-–]\s*(\d{1,2})(?::(\d{2}))?\s*(AM|PM)$/i;
+    const intervals = [];
+    
+    for (const part of text.split(',')) {
+        const match = part.trim().match(rangePattern);
+        if (!match) return null;
+        
+        const start = toMinutes12h(match[1], match[2], match[3]);
+        let end = toMinutes12h(match[4], match[5], match[6]);
+        if (end <= start) end += 1440;
+        intervals.push([start, end]);
+    }
+    
+    return createWeekSchedule([0, 1, 2, 3, 4, 5, 6], intervals);
+}
+
+/**
+ * Parse the common subset of OSM opening_hours: weekday ranges, multiple intervals,
+ * "off"/"closed" and closing times past midnight. Later rules override earlier ones.
+ */
+function parseOsmOpeningHours(text) {
+    const schedule = [[], [], [], [], [], [], []];
+    let parsedRules = 0;
+    
+    for (const rawRule of text.split(';')) {
+        const rule = rawRule.trim();
+        if (!rule) continue;
+        
+        if (rule === '24/7') {
+            schedule.forEach((day, index) => { schedule[index] = [[0, 1440]]; });
+            parsedRules++;
+            continue;
+        }
+        
+        const match = rule.match(/^((?:(?:Mo|Tu|We|Th|Fr|Sa|Su|PH)(?:\s*-\s*(?:Mo|Tu|We|Th|Fr|Sa|Su))?\s*,?\s*)+)?\s*(.+)$/);
+        if (!match) continue;
+        
+        const days = match[1] ? parseOsmDays(match[1]) : [0, 1, 2, 3, 4, 5, 6];
+        const timePart = match[2].trim();
+        
+        // Public holiday only rules and unsupported selectors are skipped
+        if (days.length === 0) continue;
+        
+        if (/^(off|closed)$/i.test(timePart)) {
+            days.forEach(day => { schedule[day] = []; });
+            parsedRules++;
+            continue;
+        }
+        
+        const intervals = parseOsmTimes(timePart);
+        if (!intervals) continue;
+        
+        days.forEach(day => { schedule[day] = intervals; });
+        parsedRules++;
+    }
+    
+    return parsedRules > 0 ? schedule : null;
+}
+
+/**
+ * Expand an OSM weekday selector such as "Mo-Fr,Su" into day indexes
+ */
+function parseOsmDays(selector) {
+    const days = [];
+    
+    selector.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [from, to] = part.split('-').map(day => day.trim());
+        if (!(from in OSM_WEEKDAYS)) return;
+        
+        if (!to) {
+            days.push(OSM_WEEKDAYS[from]);
+            return;
+        }
+        
+        // Ranges may wrap around the week, e.g. "Sa-Mo"
+        let day = OSM_WEEKDAYS[from];
+        while (true) {
+            days.push(day);
+            if (day === OSM_WEEKDAYS[to]) break;
+            day = (day + 1) % 7;
+        }
+    });
+    
+    return days;
+}
+
+/**
+ * Parse "07:00-12:00,13:00-02:00" into minute intervals
+ */
+function parseOsmTimes(timePart) {
+    const intervals = [];
+    
+    for (const range of timePart.split(',')) {
+        const match = range.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        
+        const start = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+        let end = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+        if (end <= start) end += 1440;
+        intervals.push([start, end]);
+    }
+    
+    return intervals;
+}
+
+function toMinutes12h(hours, minutes, period) {
+    let hour = parseInt(hours, 10) % 12;
+    if (period.toUpperCase() === 'PM') hour += 12;
+    return hour * 60 + (minutes ? parseInt(minutes, 10) : 0);
+}
+
+function createWeekSchedule(days, intervals) {
+    const schedule = [[], [], [], [], [], [], []];
+    days.forEach(day => { schedule[day] = intervals; });
+    return schedule;
+}
+
+/**
+ * Check whether a schedule is open at the given date
+ */
+function isScheduleOpenAt(schedule, date) {
+    const day = date.getDay();
+    const minute = date.getHours() * 60 + date.getMinutes();
+    
+    if (schedule[day].some(([start, end]) => minute >= start && minute < end)) {
+        return true;
+    }
+    
+    // Intervals from the previous day that run past midnight
+    const previousDay = (day + 6) % 7;
+    return schedule[previousDay].some(([, end]) => end > 1440 && minute < end - 1440);
+}
+
+/**
+ * Get whether a cafe is open at the selected time (or now)
+ * Returns undefined when its hours are unknown.
+ */
+function getCafeOpenStatus(cafe, date = getStatusDate()) {
+    const schedule = parseOpeningHours(cafe.hours);
+    if (!schedule) {
+        return cafe.isOpen;
+    }
+    return isScheduleOpenAt(schedule, date);
+}
+
+/**
+ * Get the time chosen in the "Open at" picker, or null for "now"
+ */
+function getSelectedOpenTime() {
+    const value = document.getElementById('openAtFilter').value;
+    return value ? new Date(value) : null;
+}
+
+function getStatusDate() {
+    return getSelectedOpenTime() || new Date();
+}
+
+function formatOpenAtTime() {
+    return getStatusDate().toLocaleString(getLocale(), { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function getOpenStatusText(isOpen) {
+    if (isOpen === undefined) return t('status.unknown');
+    if (getSelectedOpenTime()) {
+        return t(isOpen ? 'status.openAt' : 'status.closedAt', { time: formatOpenAtTime() });
+    }
+    return t(isOpen ? 'status.openNow' : 'status.closed');
+}
+
+/**
+ * A cafe's opening hours in the user's language and clock, e.g. "Mon–Fri 7:00 AM–7:00 PM; Sat–Sun 8:00 AM–5:00 PM"
+ * Days with the same hours are grouped; hours that could not be parsed are shown as listed.
+ */
+function formatCafeHours(cafe) {
+    const schedule = parseOpeningHours(cafe.hours);
+    if (!schedule) {
+        return cafe.hours && cafe.hours !== 'Hours not listed' ? cafe.hours : t('hours.notListed');
+    }
+    
+    const formatIntervals = intervals => intervals.length === 0 ? t('hours.closed') :
+        intervals.map(([start, end]) => end - start >= 1440 ? t('hours.allDay') : `${formatMinuteOfDay(start)}–${formatMinuteOfDay(end)}`).join(', ');
+    
+    // Weeks start on Monday, as in OSM opening_hours
+    const groups = [];
+    [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+        const hours = formatIntervals(schedule[day]);
+        const previous = groups[groups.length - 1];
+        if (previous && previous.hours === hours) {
+            previous.last = day;
+        } else {
+            groups.push({ first: day, last: day, hours: hours });
+        }
+    });
+    
+    if (groups.length === 1) {
+        return groups[0].hours;
+    }
+    return groups.map(group => {
+        const days = group.first === group.last ?
+            formatWeekday(group.first) : `${formatWeekday(group.first)}–${formatWeekday(group.last)}`;
+        return `${days} ${group.hours}`;
+    }).join('; ');
+}
+
+function formatWeekday(day) {
+    // 4 January 2026 was a Sunday, so day indexes line up with Date.getDay()
+    return new Date(2026, 0, 4 + day).toLocaleDateString(getLocale(), { weekday: 'short' });
+}
+
+function formatMinuteOfDay(minute) {
+    return formatTime(new Date(2026, 0, 4, 0, minute % 1440));
+}
+
+/**
+ * Re-render everything that shows open/closed status
+ */
+function refreshOpenStatus(force = false) {
+    const statusKey = cafes.map(cafe => getCafeOpenStatus(cafe)).join(',');
+    if (!force && statusKey === lastOpenStatusKey) return;
+    lastOpenStatusKey = statusKey;
+    
+    // With the open-now facet active the result set itself changes
+    if (document.getElementById('openNowFilter').checked) {
+        refreshFilteredView();
+        return;
+    }
+    
+    displayResults();
+    addMarkersToMap(filteredCafes);
+    updateResultsStats();
+    updateFacetCounts(getActiveFacets(), cafes.filter(isWithinSearchArea));
+}
+
+/**
+ * Update results statistics
+ */
+function updateResultsStats() {
+    const totalCafes = filteredCafes.length;
+    const ratings = filteredCafes.map(getCafeRating).filter(Boolean);
+    const avgRating = ratings.length > 0 ? 
+        formatRating(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) : t('cafe.notAvailable');
+    const openNow = filteredCafes.filter(cafe => getCafeOpenStatus(cafe)).length;
+    
+    document.getElementById('totalCafes').textContent = formatNumber(totalCafes);
+    document.getElementById('avgRating').textContent = avgRating;
+    document.getElementById('openNow').textContent = formatNumber(openNow);
+    document.getElementById('openNowLabel').textContent = getSelectedOpenTime() ? 
+        t('stats.openAt', { time: formatOpenAtTime() }) : t('stats.openNow');
+    
+    const statsElement = document.getElementById('resultsStats');
+    if (totalCafes > 0) {
+        statsElement.style.display = 'flex';
+        statsElement.classList.add('fade-in');
+    } else {
+        statsElement.style.display = 'none';
+    }
+    
+    // The heatmap and the neighborhood panel describe the same results
+    updateHeatmap();
+    renderNeighborhoodStats();
+}
+
+/**
+ * Neighborhood statistics and heatmap
+ * Both describe the current results (filteredCafes), so they follow the search area and the
+ * filters. The heatmap shades square cells of the results' area by their number of cafes or
+ * their average rating; the panel under the stats bar breaks the results down by rating,
+ * specialty, opening hour and distance to the nearest other cafe.
+ */
+const HEATMAP_STORAGE_KEY = 'mochamap.heatmap';
+const HEATMAP_MODES = ['off', 'density', 'rating'];
+const HEATMAP_CELL_SIZES = [100, 200, 250, 500, 1000, 2000, 5000, 10000, 20000, 50000]; // meters
+const HEATMAP_MAX_CELLS_ACROSS = 12;
+const HEATMAP_RATING_RANGE = [3, 5]; // ratings at the two ends of the color scale
+const METERS_PER_DEGREE = 111320;
+const RATING_BUCKETS = [4.5, 4, 3.5, 3]; // lower bounds, best first; anything lower is one more bucket
+
+function loadHeatmapMode() {
+    const stored = localStorage.getItem(HEATMAP_STORAGE_KEY);
+    return HEATMAP_MODES.includes(stored) ? stored : 'off';
+}
+
+function setHeatmapMode(mode) {
+    heatmapMode = HEATMAP_MODES.includes(mode) ? mode : 'off';
+    try {
+        localStorage.setItem(HEATMAP_STORAGE_KEY, heatmapMode);
+    } catch (error) {
+        console.error('Could not save heatmap preference:', error);
+    }
+    updateHeatmap();
+}
+
+/**
+ * Group cafes into square cells, sized so the longer side of their area spans at most
+ * HEATMAP_MAX_CELLS_ACROSS cells. Returns { size, cells: [{ bounds, count, rated, rating }] }.
+ */
+function getHeatmapGrid(cafeList) {
+    const lats = cafeList.map(cafe => cafe.lat);
+    const lngs = cafeList.map(cafe => cafe.lng);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const metersPerLngDegree = METERS_PER_DEGREE * Math.cos(midLat * Math.PI / 180);
+    const extent = Math.max(
+        (Math.max(...lats) - Math.min(...lats)) * METERS_PER_DEGREE,
+        (Math.max(...lngs) - Math.min(...lngs)) * metersPerLngDegree
+    );
+    const size = HEATMAP_CELL_SIZES.find(cellSize => extent / cellSize <= HEATMAP_MAX_CELLS_ACROSS) ||
+        HEATMAP_CELL_SIZES[HEATMAP_CELL_SIZES.length - 1];
+    const latStep = size / METERS_PER_DEGREE;
+    const lngStep = size / metersPerLngDegree;
+    
+    const cells = new Map();
+    cafeList.forEach(cafe => {
+        const row = Math.floor(cafe.lat / latStep);
+        const column = Math.floor(cafe.lng / lngStep);
+        const key = `${row}:${column}`;
+        if (!cells.has(key)) {
+            cells.set(key, { row: row, column: column, count: 0, ratings: [] });
+        }
+        const cell = cells.get(key);
+        cell.count++;
+        const rating = getCafeRating(cafe);
+        if (rating) {
+            cell.ratings.push(rating);
+        }
+    });
+    
+    return {
+        size: size,
+        cells: [...cells.values()].map(cell => ({
+            bounds: [[cell.row * latStep, cell.column * lngStep], [(cell.row + 1) * latStep, (cell.column + 1) * lngStep]],
+            count: cell.count,
+            rated: cell.ratings.length,
+            rating: cell.ratings.length > 0 ? cell.ratings.reduce((sum, rating) => sum + rating, 0) / cell.ratings.length : null
+        }))
+    };
+}
+
+/**
+ * Redraw the heatmap for the current results, or remove it when it is off
+ */
+function updateHeatmap() {
+    if (!map) return;
+    
+    if (heatmapLayer) {
+        map.removeLayer(heatmapLayer);
+        heatmapLayer = null;
+    }
+    if (heatmapLegend) {
+        heatmapLegend.remove();
+        heatmapLegend = null;
+    }
+    if (heatmapMode === 'off' || filteredCafes.length === 0) return;
+    
+    const grid = getHeatmapGrid(filteredCafes);
+    const maxCount = Math.max(...grid.cells.map(cell => cell.count));
+    const renderer = L.canvas({ padding: 0.5 });
+    const [lowRating, highRating] = HEATMAP_RATING_RANGE;
+    
+    heatmapLayer = L.featureGroup(grid.cells
+        .filter(cell => heatmapMode === 'density' || cell.rating !== null)
+        .map(cell => {
+            const isDensity = heatmapMode === 'density';
+            const share = isDensity ? cell.count / maxCount :
+                Math.min(1, Math.max(0, (cell.rating - lowRating) / (highRating - lowRating)));
+            const label = isDensity ? t('heatmap.cellCafes', { count: cell.count }) :
+                t('heatmap.cellRating', { rating: formatRating(cell.rating), count: cell.rated });
+            
+            return L.rectangle(cell.bounds, {
+                renderer: renderer,
+                stroke: false,
+                fillColor: isDensity ? getDensityColor(share) : getRatingColor(share),
+                fillOpacity: isDensity ? 0.25 + share * 0.45 : 0.55
+            }).bindTooltip(escapeHtml(label), { sticky: true });
+        })).addTo(map);
+    
+    heatmapLegend = L.control({ position: 'bottomleft' });
+    heatmapLegend.onAdd = () => {
+        const legend = L.DomUtil.create('div', 'heatmap-legend');
+        legend.innerHTML = createHeatmapLegend(grid.size, maxCount);
+        return legend;
+    };
+    heatmapLegend.addTo(map);
+}
+
+// Pale gold for the fewest cafes to deep red for the most
+function getDensityColor(share) {
+    return `hsl(${Math.round(50 - share * 50)}, 90%, ${Math.round(60 - share * 15)}%)`;
+}
+
+// Red for the lowest ratings, through yellow, to green for the highest
+function getRatingColor(share) {
+    return `hsl(${Math.round(share * 120)}, 65%, 45%)`;
+}
+
+function createHeatmapLegend(cellSize, maxCount) {
+    const isDensity = heatmapMode === 'density';
+    const [lowRating, highRating] = HEATMAP_RATING_RANGE;
+    
+    return html`
+        <strong>${t(isDensity ? 'heatmap.density' : 'heatmap.rating')}</strong>
+        <div class="heatmap-ramp heatmap-ramp-${heatmapMode}"></div>
+        <div class="heatmap-legend-labels">
+            <span>${isDensity ? formatNumber(1) : formatRating(lowRating)}</span>
+            <span>${isDensity ? formatNumber(maxCount) : formatRating(highRating)}</span>
+        </div>
+        <small>${t('heatmap.cellSize', { size: formatDistance(cellSize / 1000) })}</small>
+    `;
+}
+
+/**
+ * Distance in km from each cafe to the nearest other cafe
+ */
+function getNearestNeighborDistances(cafeList) {
+    return cafeList.map((cafe, index) => {
+        let nearest = Infinity;
+        cafeList.forEach((other, otherIndex) => {
+            if (otherIndex !== index) {
+                nearest = Math.min(nearest, calculateDistance(cafe.lat, cafe.lng, other.lat, other.lng));
+            }
+        });
+        return nearest;
+    }).filter(Number.isFinite);
+}
+
+function getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function createStatsBar(label, count, total) {
+    const share = total > 0 ? count / total : 0;
+    
+    return html`
+        <div class="stats-bar-row">
+            <span class="stats-bar-label">${label}</span>
+            <span class="stats-bar-track"><span class="stats-bar-fill" style="width: ${Math.round(share * 100)}%"></span></span>
+            <span class="stats-bar-value">${formatNumber(count)} (${formatNumber(share, { style: 'percent' })})</span>
+        </div>
+    `;
+}
+
+function createRatingHistogram(cafeList) {
+    const ratings = cafeList.map(getCafeRating);
+    const buckets = RATING_BUCKETS.map((min, index) => {
+        const max = index === 0 ? 5 : RATING_BUCKETS[index - 1];
+        return {
+            label: `${formatRating(min)}–${formatRating(max)}`,
+            count: ratings.filter(rating => rating && rating >= min && (index === 0 || rating < max)).length
+        };
+    });
+    const lowest = RATING_BUCKETS[RATING_BUCKETS.length - 1];
+    buckets.push({ label: `< ${formatRating(lowest)}`, count: ratings.filter(rating => rating && rating < lowest).length });
+    buckets.push({ label: t('neighborhood.unrated'), count: ratings.filter(rating => !rating).length });
+    
+    return html`${buckets.map(bucket => createStatsBar(bucket.label, bucket.count, cafeList.length))}`;
+}
+
+function createSpecialtyBreakdown(cafeList) {
+    return html`${CAFE_SPECIALTIES.map(specialty => createStatsBar(
+        t(`specialty.${specialty}`),
+        cafeList.filter(cafe => cafe.specialty === specialty).length,
+        cafeList.length
+    ))}`;
+}
+
+/**
+ * One column per hour of the selected day, as tall as the share of cafes (with known hours) open then
+ */
+function createOpenByHourChart(cafeList) {
+    const day = getStatusDate();
+    const hours = Array.from({ length: 24 }, (_, hour) => {
+        const date = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour);
+        const statuses = cafeList.map(cafe => getCafeOpenStatus(cafe, date));
+        const open = statuses.filter(status => status === true).length;
+        const closed = statuses.filter(status => status === false).length;
+        return { hour: hour, open: open, closed: closed, unknown: statuses.length - open - closed };
+    });
+    
+    return html`
+        <div class="open-hours-chart" role="img" aria-label="${t('neighborhood.openByHourLabel', { day: formatWeekday(day.getDay()) })}">
+            ${hours.map(entry => {
+                const known = entry.open + entry.closed;
+                const share = known > 0 ? entry.open / known : 0;
+                const title = t('neighborhood.hourDetail', {
+                    time: formatMinuteOfDay(entry.hour * 60),
+                    open: entry.open,
+                    closed: entry.closed,
+                    unknown: entry.unknown
+                });
+                return html`
+                    <span class="open-hours-column ${entry.hour === day.getHours() ? 'is-current' : ''}" title="${title}">
+                        <span class="open-hours-fill" style="height: ${Math.round(share * 100)}%"></span>
+                    </span>
+                `;
+            })}
+        </div>
+        <div class="open-hours-axis">
+            ${[0, 6, 12, 18].map(hour => html`<span>${formatMinuteOfDay(hour * 60)}</span>`)}
+        </div>
+    `;
+}
+
+function createNearestNeighborSummary(cafeList) {
+    const distances = getNearestNeighborDistances(cafeList);
+    if (distances.length === 0) {
+        return html`<p class="neighborhood-note">${t('neighborhood.needTwo')}</p>`;
+    }
+    
+    const mean = distances.reduce((sum, distance) => sum + distance, 0) / distances.length;
+    const rows = [
+        ['neighborhood.median', getMedian(distances)],
+        ['neighborhood.mean', mean],
+        ['neighborhood.closest', Math.min(...distances)],
+        ['neighborhood.farthest', Math.max(...distances)]
+    ];
+    
+    return html`
+        <dl class="neighborhood-distances">
+            ${rows.map(([label, distance]) => html`<dt>${t(label)}</dt><dd>${formatDistance(distance)}</dd>`)}
+        </dl>
+        <p class="neighborhood-note">${t('neighborhood.distanceNote')}</p>
+    `;
+}
+
+/**
+ * Fill the statistics panel; it is only worked out while the panel is open
+ */
+function renderNeighborhoodStats() {
+    const panel = document.getElementById('neighborhoodStats');
+    panel.style.display = filteredCafes.length > 0 ? 'block' : 'none';
+    if (!panel.open || filteredCafes.length === 0) return;
+    
+    const day = formatWeekday(getStatusDate().getDay());
+    document.getElementById('neighborhoodStatsContent').innerHTML = html`
+        <div class="neighborhood-card">
+            <h3>${t('neighborhood.ratings')}</h3>
+            ${createRatingHistogram(filteredCafes)}
+        </div>
+        <div class="neighborhood-card">
+            <h3>${t('neighborhood.specialties')}</h3>
+            ${createSpecialtyBreakdown(filteredCafes)}
+        </div>
+        <div class="neighborhood-card">
+            <h3>${t('neighborhood.openByHour', { day: day })}</h3>
+            ${createOpenByHourChart(filteredCafes)}
+        </div>
+        <div class="neighborhood-card">
+            <h3>${t('neighborhood.nearest')}</h3>
+            ${createNearestNeighborSummary(filteredCafes)}
+        </div>
+    `;
+}
+
+/**
+ * Coffee varieties and menus
+ * The carousel is built from COFFEE_VARIETIES; names and descriptions are the coffee.<id> and
+ * coffee.<id>.description messages. A cafe's menu is a list of { drink, price } items, where
+ * drink is a variety id and price (in the cafe's currency, if known) is optional. Providers fill
+ * it from OSM drink:<osmDrinks> tags or the mock data; the drink facet filters on it.
+ */
+const COFFEE_VARIETIES = [
+    { id: 'espresso', image: 'asset/EspressoCoffee.jpg', osmDrinks: ['espresso'], mockPrice: 3 },
+    { id: 'cappuccino', image: 'asset/Cappuccino.jpg', osmDrinks: ['cappuccino'], mockPrice: 4.25 },
+    { id: 'americano', image: 'asset/IcedAmericano.jpg', osmDrinks: ['americano', 'iced_americano'], mockPrice: 3.5 },
+    { id: 'mocha', image: 'asset/Mocha%20Coffee.jpg', osmDrinks: ['mocha', 'caffe_mocha'], mockPrice: 5 },
+    { id: 'latte', image: 'asset/lattecup.jpg', osmDrinks: ['latte', 'caffe_latte', 'latte_macchiato'], mockPrice: 4.5 },
+    { id: 'hazelnut', image: 'asset/HazelNut.jpg', osmDrinks: ['hazelnut_coffee', 'hazelnut_latte'], mockPrice: 4.75 },
+    { id: 'frappe', image: 'asset/Frappe.jpg', osmDrinks: ['frappe', 'frappuccino'], mockPrice: 5.5 },
+    { id: 'dalgona', image: 'asset/Dalgona.jpg', osmDrinks: ['dalgona', 'dalgona_coffee'], mockPrice: 5.25 }
+];
+
+function getCoffeeVariety(drinkId) {
+    return COFFEE_VARIETIES.find(variety => variety.id === drinkId);
+}
+
+function servesDrink(cafe, drinkId) {
+    return (cafe.menu || []).some(item => item.drink === drinkId);
+}
+
+/**
+ * Menu items for the drink:* tags of an OSM element (any value except "no")
+ */
+function getOsmMenu(tags) {
+    return COFFEE_VARIETIES
+        .filter(variety => variety.osmDrinks.some(drink => tags[`drink:${drink}`] && tags[`drink:${drink}`] !== 'no'))
+        .map(variety => ({ drink: variety.id }));
+}
+
+/**
+ * A seeded menu: espresso everywhere, each other variety at about half the cafes, most with a price
+ */
+function generateMockMenu(random) {
+    return COFFEE_VARIETIES
+        .filter(variety => variety.id === 'espresso' || random() < 0.5)
+        .map(variety => {
+            const item = { drink: variety.id };
+            if (random() < 0.85) {
+                item.price = Math.round((variety.mockPrice + (random() - 0.5) * 1.5) * 4) / 4;
+            }
+            return item;
+        });
+}
+
+function renderCoffeeCarousel() {
+    document.getElementById('carouselTrack').innerHTML = html`${COFFEE_VARIETIES.map(variety => html`
+        <button type="button" class="coffee-card" data-action="filter-drink" data-drink="${variety.id}" aria-pressed="false">
+            <span class="coffee-icon">
+                <img src="${variety.image}" alt="${t(`coffee.${variety.id}`)}">
+            </span>
+            <span class="coffee-name">${t(`coffee.${variety.id}`)}</span>
+            <span class="coffee-description">${t(`coffee.${variety.id}.description`)}</span>
+            <span class="coffee-served" data-drink-count="${variety.id}"></span>
+        </button>
+    `)}`;
+}
+
+/**
+ * Options for the drink facet, keeping the current choice
+ */
+function renderDrinkOptions() {
+    const select = document.getElementById('drinkFilter');
+    const value = select.value;
+    select.innerHTML = html`
+        <option value="">${t('filters.anyDrink')}</option>
+        ${COFFEE_VARIETIES.map(variety => html`<option value="${variety.id}">${t(`coffee.${variety.id}`)}</option>`)}
+    `;
+    select.value = value;
+}
+
+/**
+ * Carousel card click: show only cafes serving that drink, or every cafe if it was already picked
+ */
+function filterByDrink(drinkId) {
+    const select = document.getElementById('drinkFilter');
+    select.value = select.value === drinkId ? '' : drinkId;
+    
+    if (cafes.length === 0) {
+        updateFacetLabels();
+        showToast(t('carousel.searchFirst', { drink: t(`coffee.${drinkId}`) }), 'info');
+        return;
+    }
+    
+    refreshFilteredView();
+    if (select.value) {
+        showToast(t('carousel.filtered', { count: filteredCafes.length, drink: t(`coffee.${drinkId}`) }), 'info', 2500);
+        document.querySelector('.map-container').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * The drinks a cafe serves, with prices where known, for its popup
+ */
+function createMenuList(cafe) {
+    const menu = (cafe.menu || []).filter(item => getCoffeeVariety(item.drink));
+    if (menu.length === 0) return '';
+    
+    return html`
+        <div class="popup-menu">
+            <strong>${t('cafe.menu')}</strong>
+            <ul>
+                ${menu.map(item => html`
+                    <li>
+                        <span>${t(`coffee.${item.drink}`)}</span>
+                        ${Number.isFinite(item.price) ? html`<span class="popup-menu-price">${formatPrice(item.price, cafe.currency)}</span>` : ''}
+                    </li>
+                `)}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Amenities
+ * A cafe's amenities are a list of ids from CAFE_AMENITIES, shown as icons on cards and popups
+ * (named by amenity.<id> messages) and used by the amenity facet, which keeps cafes that have
+ * every checked amenity. Each entry reads its amenity from OSM tags; mockShare is the share of
+ * generated demo cafes that get it.
+ */
+const CAFE_AMENITIES = [
+    { id: 'wifi', icon: '📶', mockShare: 0.7, fromOsm: tags => ['wlan', 'wifi', 'yes'].includes(tags.internet_access) },
+    { id: 'outlets', icon: '🔌', mockShare: 0.45, fromOsm: tags => tags.power_supply === 'yes' },
+    { id: 'outdoorSeating', icon: '⛱️', mockShare: 0.4, fromOsm: tags => tags.outdoor_seating === 'yes' },
+    { id: 'wheelchair', icon: '♿', mockShare: 0.5, fromOsm: tags => ['yes', 'designated'].includes(tags.wheelchair) },
+    {
+        id: 'plantMilk',
+        icon: '🌱',
+        mockShare: 0.6,
+        fromOsm: tags => ['yes', 'only', 'limited'].includes(tags['diet:vegan']) ||
+            ['drink:oat_milk', 'drink:soy_milk', 'drink:plant_milk'].some(key => tags[key] && tags[key] !== 'no')
+    },
+    { id: 'takeawayOnly', icon: '🥡', mockShare: 0.1, fromOsm: tags => tags.takeaway === 'only' }
+];
+
+function hasAmenity(cafe, amenityId) {
+    return (cafe.amenities || []).includes(amenityId);
+}
+
+function getOsmAmenities(tags) {
+    return CAFE_AMENITIES.filter(amenity => amenity.fromOsm(tags)).map(amenity => amenity.id);
+}
+
+function generateMockAmenities(random) {
+    return CAFE_AMENITIES.filter(amenity => random() < amenity.mockShare).map(amenity => amenity.id);
+}
+
+function createAmenityIcons(cafe) {
+    const amenities = CAFE_AMENITIES.filter(amenity => hasAmenity(cafe, amenity.id));
+    if (amenities.length === 0) return '';
+    
+    return html`
+        <span class="amenity-icons">
+            ${amenities.map(amenity => html`<span class="amenity-icon" role="img" title="${t(`amenity.${amenity.id}`)}" aria-label="${t(`amenity.${amenity.id}`)}">${amenity.icon}</span>`)}
+        </span>
+    `;
+}
+
+function getSelectedAmenities() {
+    return [...document.querySelectorAll('#amenityFilter input[type="checkbox"]:checked')].map(input => input.value);
+}
+
+/**
+ * Chips for the amenity facet, keeping the current choice
+ */
+function renderAmenityFilter() {
+    const selected = getSelectedAmenities();
+    document.getElementById('amenityFilterOptions').innerHTML = html`${CAFE_AMENITIES.map(amenity => html`
+        <label class="facet-chip"><input type="checkbox" value="${amenity.id}" ${selected.includes(amenity.id) ? html`checked` : ''}> <span>${amenity.icon} ${t(`amenity.${amenity.id}`)}</span> <span class="facet-count" data-amenity-count="${amenity.id}"></span></label>
+    `)}`;
+}
+
+/**
+ * Carousel functionality
+ */
+let carouselAutoplayInterval;
+
+function moveCarousel(direction) {
+    const track = document.getElementById('carouselTrack');
+    const cards = track.querySelectorAll('.coffee-card');
+    const cardWidth = cards[0].offsetWidth + 20; // Including gap
+    const visibleCards = Math.floor(track.parentElement.offsetWidth / cardWidth);
+    const maxIndex = Math.max(0, cards.length - visibleCards);
+    
+    currentCarouselIndex = Math.max(0, Math.min(maxIndex, currentCarouselIndex + direction));
+    
+    track.style.transform = `translateX(-${currentCarouselIndex * cardWidth}px)`;
+    
+    // Reset autoplay
+    clearInterval(carouselAutoplayInterval);
+    startCarouselAutoplay();
+}
+
+function startCarouselAutoplay() {
+    carouselAutoplayInterval = setInterval(() => {
+        const track = document.getElementById('carouselTrack');
+        const cards = track.querySelectorAll('.coffee-card');
+        const cardWidth = cards[0].offsetWidth + 20;
+        const visibleCards = Math.floor(track.parentElement.offsetWidth / cardWidth);
+        const maxIndex = Math.max(0, cards.length - visibleCards);
+        
+        if (currentCarouselIndex >= maxIndex) {
+            currentCarouselIndex = 0;
+        } else {
+            currentCarouselIndex++;
+        }
+        
+        track.style.transform = `translateX(-${currentCarouselIndex * cardWidth}px)`;
+    }, 4000);
+}
+
+/**
+ * Pagination functionality
+ */
+function updatePagination() {
+    const totalPages = Math.ceil(filteredCafes.length / itemsPerPage);
+    const paginationElement = document.getElementById('pagination');
+    
+    if (totalPages <= 1) {
+        paginationElement.style.display = 'none';
+        return;
+    }
+    
+    paginationElement.style.display = 'flex';
+    
+    const prevBtn = document.getElementById('prevPage');
+    const nextBtn = document.getElementById('nextPage');
+    const pageInfo = document.getElementById('pageInfo');
+    
+    prevBtn.disabled = currentPage <= 1;
+    nextBtn.disabled = currentPage >= totalPages;
+    pageInfo.textContent = t('pagination.pageOf', { page: currentPage, total: totalPages });
+}
+
+function changePage(direction) {
+    const totalPages = Math.ceil(filteredCafes.length / itemsPerPage);
+    const newPage = currentPage + direction;
+    
+    if (newPage >= 1 && newPage <= totalPages) {
+        currentPage = newPage;
+        displayResults();
+        updatePagination();
+        updateUrlState();
+        
+        // Scroll to results
+        document.querySelector('.results-container').scrollIntoView({ 
+            behavior: 'smooth', 
+            block: 'start' 
+        });
+    }
+}
+
+/**
+ * "Search this area"
+ * After the user pans or zooms far enough that the view is no longer mostly covered by the
+ * current results, offer to search the visible bounds instead.
+ */
+const SEARCH_AREA_MIN_UNCOVERED = 0.3; // share of the view outside the searched area
+const SEARCH_AREA_MAX_DIAGONAL_KM = 25;
+
+function setupSearchAreaPrompt() {
+    // Only moves started by the user should offer a new search
+    const container = map.getContainer();
+    ['mousedown', 'wheel', 'touchstart', 'keydown', 'dblclick'].forEach(eventName => {
+        container.addEventListener(eventName, () => { mapMovedByUser = true; }, { passive: true });
+    });
+    
+    map.on('moveend', () => {
+        if (!mapMovedByUser) return;
+        mapMovedByUser = false;
+        updateSearchAreaButton();
+    });
+}
+
+/**
+ * Get the bounds covered by the current results, or null when they are not tied to an area
+ */
+function getSearchedBounds() {
+    if (searchBounds) {
+        return L.latLngBounds([searchBounds.south, searchBounds.west], [searchBounds.north, searchBounds.east]);
+    }
+    if (searchCenter) {
+        return L.latLng(searchCenter).toBounds(loadedRadius * 2 || getSearchRadius() * 2);
+    }
+    return null;
+}
+
+/**
+ * Share of the current view that lies outside the searched area (0 = fully covered)
+ */
+function getUncoveredViewShare(view, searched) {
+    const south = Math.max(view.getSouth(), searched.getSouth());
+    const north = Math.min(view.getNorth(), searched.getNorth());
+    const west = Math.max(view.getWest(), searched.getWest());
+    const east = Math.min(view.getEast(), searched.getEast());
+    
+    const viewArea = (view.getNorth() - view.getSouth()) * (view.getEast() - view.getWest());
+    const overlap = Math.max(0, north - south) * Math.max(0, east - west);
+    return viewArea > 0 ? 1 - overlap / viewArea : 0;
+}
+
+function updateSearchAreaButton() {
+    const view = map.getBounds();
+    const searched = getSearchedBounds();
+    
+    if (searched && getUncoveredViewShare(view, searched) < SEARCH_AREA_MIN_UNCOVERED) {
+        hideSearchAreaButton();
+        return;
+    }
+    
+    const button = document.getElementById('searchAreaBtn');
+    const tooLarge = view.getNorthWest().distanceTo(view.getSouthEast()) / 1000 > SEARCH_AREA_MAX_DIAGONAL_KM;
+    button.disabled = tooLarge;
+    // The key stays on the button so a language change can relabel it
+    button.dataset.i18n = tooLarge ? 'searchArea.zoomIn' : 'searchArea.search';
+    button.textContent = t(button.dataset.i18n);
+    button.style.display = 'block';
+}
+
+function hideSearchAreaButton() {
+    const button = document.getElementById('searchAreaBtn');
+    if (button) {
+        button.style.display = 'none';
+    }
+}
+
+function searchThisArea() {
+    searchArea(map.getBounds());
+}
+
+/**
+ * URL state
+ * The search, filters, page, selected cafe and map view are mirrored in the query string
+ * so links can be shared and reloaded. Searches and selections push history entries,
+ * everything else replaces the current one.
+ */
+const URL_STATE_KEYS = ['q', 'center', 'bounds', 'curated', 'specialty', 'drink', 'amenities', 'text', 'minRating', 'open', 'sort', 'radius', 'at', 'page', 'cafe', 'map'];
+
+/**
+ * Read the app state from the current URL
+ */
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {
+        q: params.get('q') || '',
+        center: parseLatLng(params.get('center')),
+        bounds: parseBounds(params.get('bounds')),
+        curated: params.get('curated') === '1',
+        specialties: (params.get('specialty') || '').split(',').filter(Boolean),
+        drink: params.get('drink'),
+        amenities: (params.get('amenities') || '').split(',').filter(Boolean),
+        text: params.get('text') || '',
+        minRating: params.get('minRating'),
+        openNow: params.get('open') === '1',
+        sort: params.get('sort'),
+        radius: params.get('radius'),
+        at: params.get('at'),
+        page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+        cafe: params.get('cafe'),
+        view: null
+    };
+    
+    const view = (params.get('map') || '').split('/').map(parseFloat);
+    if (view.length === 3 && view.every(value => !isNaN(value))) {
+        state.view = { zoom: view[0], lat: view[1], lng: view[2] };
+    }
+    
+    return state;
+}
+
+function parseLatLng(value) {
+    const parts = (value || '').split(',').map(parseFloat);
+    return parts.length === 2 && parts.every(part => !isNaN(part)) ? parts : null;
+}
+
+function parseBounds(value) {
+    const parts = (value || '').split(',').map(parseFloat);
+    if (parts.length !== 4 || parts.some(part => isNaN(part))) return null;
+    return { south: parts[0], west: parts[1], north: parts[2], east: parts[3] };
+}
+
+function formatBounds(bounds) {
+    return [bounds.south, bounds.west, bounds.north, bounds.east].map(value => value.toFixed(5)).join(',');
+}
+
+function hasUrlSearchState(state) {
+    return Boolean(state.center || state.bounds || state.q);
+}
+
+/**
+ * Write the current app state to the URL
+ */
+function updateUrlState(push = false) {
+    if (isRestoringUrlState || !map) return;
+    
+    const params = new URLSearchParams(window.location.search);
+    URL_STATE_KEYS.forEach(key => params.delete(key));
+    
+    if (searchQuery) params.set('q', searchQuery);
+    if (searchBounds) {
+        params.set('bounds', formatBounds(searchBounds));
+    } else if (searchCenter) {
+        params.set('center', `${searchCenter[0].toFixed(5)},${searchCenter[1].toFixed(5)}`);
+    }
+    if (lastSearchOptions.curated) params.set('curated', '1');
+    
+    const facets = getActiveFacets();
+    const sort = document.getElementById('sortFilter').value;
+    const openAt = document.getElementById('openAtFilter').value;
+    if (facets.specialties.length > 0) params.set('specialty', facets.specialties.join(','));
+    if (facets.drink) params.set('drink', facets.drink);
+    if (facets.amenities.length > 0) params.set('amenities', facets.amenities.join(','));
+    if (facets.keyword) params.set('text', document.getElementById('keywordFilter').value.trim());
+    if (facets.minRating > 0) params.set('minRating', facets.minRating);
+    if (facets.openNow) params.set('open', '1');
+    if (sort !== 'distance') params.set('sort', sort);
+    if (getSearchRadius() !== 2000) params.set('radius', getSearchRadius());
+    if (openAt) params.set('at', openAt);
+    if (currentPage > 1) params.set('page', currentPage);
+    if (selectedCafeId) params.set('cafe', selectedCafeId);
+    
+    const center = map.getCenter();
+    params.set('map', `${map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`);
+    
+    const query = params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/');
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    
+    // An embedded map must not add entries to the host page's back/forward history
+    if (push && !isEmbedded) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+/**
+ * Set a select to a value from the URL, ignoring values it has no option for
+ */
+function setSelectFromUrl(id, value, fallback) {
+    const select = document.getElementById(id);
+    const options = [...select.options].map(option => option.value);
+    select.value = value !== null && options.includes(value) ? value : fallback;
+}
+
+/**
+ * Restore the app state described by a URL (on load or back/forward navigation)
+ */
+function restoreUrlState(state) {
+    // An open place chooser belongs to the state being left
+    hideLocationSuggestions();
+    isRestoringUrlState = true;
+    
+    document.querySelectorAll('#specialtyFilter input[type="checkbox"]').forEach(input => {
+        input.checked = state.specialties.includes(input.value);
+    });
+    setSelectFromUrl('drinkFilter', state.drink, '');
+    document.querySelectorAll('#amenityFilter input[type="checkbox"]').forEach(input => {
+        input.checked = state.amenities.includes(input.value);
+    });
+    document.getElementById('keywordFilter').value = state.text;
+    document.getElementById('ratingFilter').value = Math.min(5, Math.max(0, parseFloat(state.minRating) || 0));
+    document.getElementById('openNowFilter').checked = state.openNow;
+    setSelectFromUrl('sortFilter', state.sort, 'distance');
+    setSelectFromUrl('radiusFilter', state.radius, '2000');
+    document.getElementById('openAtFilter').value = state.at || '';
+    document.getElementById('locationInput').value = state.q;
+    
+    pendingUrlState = state;
+    
+    const sameArea = state.bounds && searchBounds && formatBounds(state.bounds) === formatBounds(searchBounds);
+    const sameSearch = sameArea || state.center && searchCenter && !searchBounds &&
+        state.center[0].toFixed(5) === searchCenter[0].toFixed(5) &&
+        state.center[1].toFixed(5) === searchCenter[1].toFixed(5) &&
+        state.curated === Boolean(lastSearchOptions.curated) &&
+        getSearchRadius() <= loadedRadius;
+    
+    if (sameSearch) {
+        // Only filters, page or selection changed - no need to query again
+        searchQuery = state.q;
+        updateRadiusCircle();
+        refreshFilteredView();
+        applyPendingUrlState();
+    } else if (state.bounds) {
+        const { south, west, north, east } = state.bounds;
+        searchArea(L.latLngBounds([south, west], [north, east]));
+    } else if (state.center) {
+        searchQuery = state.q;
+        if (state.q) {
+            clearUserMarker();
+            addUserLocationMarker(state.center);
+        }
+        searchNearbyPlaces(state.center, state.curated ? { curated: true } : {});
+    } else if (state.q) {
+        searchCafes();
+    } else {
+        cancelUrlStateRestore();
+    }
+}
+
+/**
+ * Give up on a restored URL state whose results will not arrive, so URL updates resume
+ */
+function cancelUrlStateRestore() {
+    pendingUrlState = null;
+    isRestoringUrlState = false;
+}
+
+/**
+ * Apply the parts of a restored URL state that need results: page, selection and map view
+ */
+function applyPendingUrlState() {
+    const state = pendingUrlState;
+    pendingUrlState = null;
+    
+    const selectedIndex = state.cafe ? filteredCafes.findIndex(cafe => getCafeId(cafe) === state.cafe) : -1;
+    const totalPages = Math.max(1, Math.ceil(filteredCafes.length / itemsPerPage));
+    
+    currentPage = selectedIndex >= 0 ? Math.floor(selectedIndex / itemsPerPage) + 1 : Math.min(state.page, totalPages);
+    displayResults();
+    updatePagination();
+    
+    if (selectedIndex >= 0) {
+        selectedCafeId = state.cafe;
+        selectCafe(selectedIndex);
+    } else if (state.view) {
+        map.setView([state.view.lat, state.view.lng], state.view.zoom);
+    }
+    
+    isRestoringUrlState = false;
+    updateUrlState();
+}
+
+/**
+ * Embedding
+ * embed.js mounts MochaMap in an iframe with ?embed=1&parentOrigin=<host origin>. The embedded app
+ * hides the page chrome, takes search/setFilters/select commands from the host page and reports
+ * ready, results, select and error events back to it with postMessage.
+ */
+const embedParams = new URLSearchParams(window.location.search);
+const embedParentOrigin = embedParams.get('parentOrigin');
+const isEmbedded = embedParams.get('embed') === '1' && window.parent !== window && Boolean(embedParentOrigin);
+
+const embedCommands = {
+    search(args) {
+        if (Array.isArray(args.query)) {
+            searchQuery = '';
+            searchNearbyPlaces(args.query.map(Number));
+        } else {
+            document.getElementById('locationInput').value = String(args.query || '');
+            searchCafes();
+        }
+    },
+    
+    setFilters(args) {
+        setFilters(args.filters || {});
+    },
+    
+    select(args) {
+        const index = filteredCafes.findIndex(cafe => getCafeId(cafe) === args.cafeId);
+        if (index < 0) {
+            emitEmbedEvent('error', { message: `No cafe with id "${args.cafeId}" in the current results` });
+            return;
+        }
+        selectCafe(index);
+    }
+};
+
+function setupEmbedding() {
+    if (!isEmbedded) return;
+    
+    document.body.classList.add('is-embedded');
+    window.addEventListener('message', (event) => {
+        const data = event.data;
+        if (event.source !== window.parent || event.origin !== embedParentOrigin) return;
+        if (!data || data.target !== 'mochamap' || !Object.hasOwn(embedCommands, data.command)) return;
+        
+        embedCommands[data.command](data.args || {});
+    });
+    
+    emitEmbedEvent('ready', {});
+}
+
+function emitEmbedEvent(type, detail) {
+    if (!isEmbedded) return;
+    window.parent.postMessage({ source: 'mochamap', type: type, detail: detail }, embedParentOrigin);
 }
 
 /**
- * Create popup content for map markers
+ * The plain-data view of a cafe that is sent to host pages
  */
-function createPopupContent(cafe) {
-    const stars = generateStarRating(cafe.rating);
-    const statusClass = cafe.isOpen ? 'open' : 'closed';
-    const statusText = cafe.isOpen ? 'Open now' : 'Closed';
-    const distance = cafe.distance ? `<p><strong>Distance:</strong> ${cafe.distance.toFixed(1)} km</p>` : '';
-    
-    return `
-        <div style="min-width: 200px; font-family: 'Open Sans', sans-serif;">
-            <h3 style="color: #3C2415; margin-bottom: 10px; font-size: 1.1rem;">${cafe.name}</h3>
-            <div style="display: flex; align-items: center; gap: 5px; margin-bottom: 8px;">
-                <span style="color: #D4AF37;">${stars}</span>
-                <span style="color: #8B4513;">(${cafe.rating})</span>
-            </div>
-            <p style="color: #8B4513; margin-bottom: 5px;"><strong>Address:</strong> ${cafe.address}</p>
-            ${distance}
-            <p style="color: #8B4513; margin-bottom: 5px;"><strong>Hours:</strong> ${cafe.hours}</p>
-            <p style="margin-bottom: 8px;"><span class="cafe-status ${statusClass}" style="padding: 4px 8px; border-radius: 10px; font-size: 12px; font-weight: bold;">${statusText}</span></p>
-            <p style="color: #704214; font-style: italic; font-size: 0.9rem;">${cafe.description}</p>
-        </div>
-    `;
+function toEmbedCafe(cafe) {
+    const isOpen = getCafeOpenStatus(cafe);
+    return {
+        id: getCafeId(cafe),
+        name: cafe.name,
+        lat: cafe.lat,
+        lng: cafe.lng,
+        address: cafe.address || '',
+        rating: cafe.rating || null,
+        specialty: cafe.specialty || '',
+        hours: cafe.hours || '',
+        phone: cafe.phone || '',
+        website: cafe.website || '',
+        amenities: cafe.amenities || [],
+        distance: cafe.distance === undefined ? null : cafe.distance,
+        isOpen: isOpen === undefined ? null : isOpen
+    };
 }
 
 /**
- * Select and focus on a specific cafe
+ * Set any of the filter controls and refresh the results. Keys match the MochaMap.create() filters:
+ * specialties, drink, amenities, keyword, minRating, openNow, sort, openAt, radius and ratingSource.
  */
-function selectCafe(index) {
-    if (index >= 0 && index < filteredCafes.length) {
-        const cafe = filteredCafes[index];
-        map.setView([cafe.lat, cafe.lng], 16);
-        
-        // Open the popup for this marker
-        if (markers[index]) {
-            markers[index].openPopup();
-        }
-        
-        // Scroll to the cafe card
-        const cafeCards = document.querySelectorAll('.cafe-card-result');
-        const cardIndex = index % itemsPerPage;
-        if (cafeCards[cardIndex]) {
-            cafeCards[cardIndex].scrollIntoView({ behavior: 'smooth', block: 'center' });
-            cafeCards[cardIndex].style.transform = 'scale(1.02)';
-            cafeCards[cardIndex].style.boxShadow = '0 20px 50px rgba(60, 36, 21, 0.3)';
-            
-            setTimeout(() => {
-                cafeCards[cardIndex].style.transform = '';
-                cafeCards[cardIndex].style.boxShadow = '';
-            }, 1000);
+function setFilters(filters) {
+    if (Array.isArray(filters.specialties)) {
+        document.querySelectorAll('#specialtyFilter input[type="checkbox"]').forEach(input => {
+            input.checked = filters.specialties.includes(input.value);
+        });
+    }
+    if ('drink' in filters) {
+        setSelectFromUrl('drinkFilter', filters.drink || '', '');
+    }
+    if (Array.isArray(filters.amenities)) {
+        document.querySelectorAll('#amenityFilter input[type="checkbox"]').forEach(input => {
+            input.checked = filters.amenities.includes(input.value);
+        });
+    }
+    if ('keyword' in filters) {
+        document.getElementById('keywordFilter').value = filters.keyword || '';
+    }
+    if ('minRating' in filters) {
+        document.getElementById('ratingFilter').value = Math.min(5, Math.max(0, parseFloat(filters.minRating) || 0));
+    }
+    if ('openNow' in filters) {
+        document.getElementById('openNowFilter').checked = Boolean(filters.openNow);
+    }
+    if ('sort' in filters) {
+        setSelectFromUrl('sortFilter', filters.sort, 'distance');
+    }
+    if ('openAt' in filters) {
+        document.getElementById('openAtFilter').value = filters.openAt || '';
+    }
+    if ('ratingSource' in filters) {
+        document.getElementById('ratingSource').value = filters.ratingSource;
+        setRatingSource(filters.ratingSource);
+    }
+    
+    if ('radius' in filters) {
+        setSelectFromUrl('radiusFilter', String(filters.radius), '2000');
+        if (searchCenter && (searchBounds || getSearchRadius() > loadedRadius)) {
+            // A wider radius needs fresh data; the new search applies the other filters too
+            handleRadiusChange();
+            return;
         }
+        updateRadiusCircle();
     }
+    
+    refreshFilteredView();
 }
 
 /**
- * Clear all markers from the map
+ * Safe HTML rendering
+ * Every renderer builds its markup with the html`` template tag. Interpolated values are escaped
+ * unless they are themselves html`` results (or arrays of them), so names, addresses, geocoder
+ * results and messages from any source are always shown as text.
  */
-function clearMarkers() {
-    markers.forEach(marker => map.removeLayer(marker));
-    markers = [];
+const SAFE_HTML = Symbol('safeHtml');
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function html(strings, ...values) {
+    const markup = strings.reduce((result, string, index) => result + renderHtmlValue(values[index - 1]) + string);
+    return { [SAFE_HTML]: true, markup: markup, toString: () => markup };
+}
+
+function renderHtmlValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value[SAFE_HTML]) return value.markup;
+    return escapeHtml(value);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 /**
- * Clear user location marker
+ * Map styles and theme
+ * Each map style is a tile layer picked from a Leaflet layers control. appConfig.mapStyles can
+ * point a style at another tile server, add styles or switch one off with false. The page theme
+ * is light, dark or auto (following prefers-color-scheme); until the user picks a map style,
+ * the map follows the theme too.
  */
-function clearUserMarker() {
-    map.eachLayer(layer => {
-        if (layer.options && layer.options.icon && layer.options.icon.options.className === 'custom-user-marker') {
-            map.removeLayer(layer);
-        }
-    });
-}
+const THEME_STORAGE_KEY = 'mochamap.theme';
+const MAP_STYLE_STORAGE_KEY = 'mochamap.mapStyle';
+const THEMES = ['auto', 'light', 'dark'];
+const OSM_ATTRIBUTION = '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} © <a href="https://carto.com/attributions">CARTO</a>`;
+const DEFAULT_MAP_STYLES = {
+    standard: { url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', attribution: OSM_ATTRIBUTION, maxZoom: 19 },
+    light: { url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', attribution: CARTO_ATTRIBUTION, maxZoom: 20, subdomains: 'abcd' },
+    dark: { url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', attribution: CARTO_ATTRIBUTION, maxZoom: 20, subdomains: 'abcd' },
+    'high-contrast': { url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', attribution: OSM_ATTRIBUTION, maxZoom: 19, className: 'map-tiles-high-contrast' }
+};
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
 /**
- * Calculate distance between two coordinates
+ * ?theme= (used by embeds) wins over the saved choice
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Radius of the Earth in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-        Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c; // Distance in km
+function loadTheme() {
+    const requested = new URLSearchParams(window.location.search).get('theme') || localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(requested) ? requested : 'auto';
+}
+
+function loadMapStyle() {
+    return new URLSearchParams(window.location.search).get('style') || localStorage.getItem(MAP_STYLE_STORAGE_KEY);
+}
+
+function setTheme(value) {
+    theme = THEMES.includes(value) ? value : 'auto';
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, theme);
+    } catch (error) {
+        console.error('Could not save theme preference:', error);
+    }
+    applyTheme();
+}
+
+function isDarkTheme() {
+    return theme === 'dark' || (theme === 'auto' && darkSchemeQuery.matches);
 }
 
 /**
- * Update results statistics
+ * Switch the page palette (see :root[data-theme="dark"] in styles.css) and, unless the user
+ * chose a map style, the map tiles
  */
-function updateResultsStats() {
-    const totalCafes = filteredCafes.length;
-    const avgRating = totalCafes > 0 ? 
-        (filteredCafes.reduce((sum, cafe) => sum + cafe.rating, 0) / totalCafes).toFixed(1) : 0;
-    const openNow = filteredCafes.filter(cafe => cafe.isOpen).length;
+function applyTheme() {
+    const dark = isDarkTheme();
+    document.documentElement.dataset.theme = dark ? 'dark' : 'light';
+    document.querySelector('meta[name="theme-color"]').content = dark ? '#1A110C' : '#3C2415';
     
-    document.getElementById('totalCafes').textContent = totalCafes;
-    document.getElementById('avgRating').textContent = avgRating;
-    document.getElementById('openNow').textContent = openNow;
-    
-    const statsElement = document.getElementById('resultsStats');
-    if (totalCafes > 0) {
-        statsElement.style.display = 'flex';
-        statsElement.classList.add('fade-in');
-    } else {
-        statsElement.style.display = 'none';
+    if (map && Object.keys(mapStyleLayers).length > 0) {
+        showMapStyle(getMapStyleId());
     }
 }
 
 /**
- * Carousel functionality
+ * Default styles merged with appConfig.mapStyles; styles without a url are left out
  */
-let carouselAutoplayInterval;
+function getMapStyles() {
+    const configured = appConfig.mapStyles || {};
+    const styles = {};
+    
+    new Set([...Object.keys(DEFAULT_MAP_STYLES), ...Object.keys(configured)]).forEach(id => {
+        if (configured[id] === false) return;
+        const style = Object.assign({}, DEFAULT_MAP_STYLES[id], configured[id]);
+        if (style.url) {
+            styles[id] = style;
+        }
+    });
+    return styles;
+}
 
-function moveCarousel(direction) {
-    const track = document.getElementById('carouselTrack');
-    const cards = track.querySelectorAll('.coffee-card');
-    const cardWidth = cards[0].offsetWidth + 20; // Including gap
-    const visibleCards = Math.floor(track.parentElement.offsetWidth / cardWidth);
-    const maxIndex = Math.max(0, cards.length - visibleCards);
+/**
+ * The saved map style, or the one matching the theme
+ */
+function getMapStyleId() {
+    if (mapStyle && mapStyleLayers[mapStyle]) {
+        return mapStyle;
+    }
+    const themed = isDarkTheme() ? 'dark' : 'standard';
+    return mapStyleLayers[themed] ? themed : Object.keys(mapStyleLayers)[0];
+}
+
+function setupMapStyles() {
+    mapStyleLayers = {};
+    Object.entries(getMapStyles()).forEach(([id, style]) => {
+        // Tiles are requested with CORS so the service worker can cache them
+        mapStyleLayers[id] = L.tileLayer(style.url, {
+            attribution: style.attribution || '',
+            maxZoom: style.maxZoom || 19,
+            subdomains: style.subdomains || 'abc',
+            className: style.className || '',
+            crossOrigin: true
+        });
+    });
     
-    currentCarouselIndex = Math.max(0, Math.min(maxIndex, currentCarouselIndex + direction));
+    showMapStyle(getMapStyleId());
+    renderMapStyleControl();
     
-    track.style.transform = `translateX(-${currentCarouselIndex * cardWidth}px)`;
+    map.on('baselayerchange', (event) => {
+        const id = Object.keys(mapStyleLayers).find(key => mapStyleLayers[key] === event.layer);
+        // Switches made by applyTheme() show getMapStyleId() and are not a choice to remember
+        if (!id || id === getMapStyleId()) return;
+        mapStyle = id;
+        try {
+            localStorage.setItem(MAP_STYLE_STORAGE_KEY, id);
+        } catch (error) {
+            console.error('Could not save map style:', error);
+        }
+    });
     
-    // Reset autoplay
-    clearInterval(carouselAutoplayInterval);
-    startCarouselAutoplay();
+    darkSchemeQuery.addEventListener('change', () => {
+        if (theme === 'auto') {
+            applyTheme();
+        }
+    });
 }
 
-function startCarouselAutoplay() {
-    carouselAutoplayInterval = setInterval(() => {
-        const track = document.getElementById('carouselTrack');
-        const cards = track.querySelectorAll('.coffee-card');
-        const cardWidth = cards[0].offsetWidth + 20;
-        const visibleCards = Math.floor(track.parentElement.offsetWidth / cardWidth);
-        const maxIndex = Math.max(0, cards.length - visibleCards);
-        
-        if (currentCarouselIndex >= maxIndex) {
-            currentCarouselIndex = 0;
-        } else {
-            currentCarouselIndex++;
+function showMapStyle(id) {
+    Object.entries(mapStyleLayers).forEach(([key, layer]) => {
+        if (key === id) {
+            map.addLayer(layer);
+        } else if (map.hasLayer(layer)) {
+            map.removeLayer(layer);
         }
-        
-        track.style.transform = `translateX(-${currentCarouselIndex * cardWidth}px)`;
-    }, 4000);
+    });
 }
 
 /**
- * Pagination functionality
+ * (Re)build the style switcher, so its labels follow the language
  */
-function updatePagination() {
-    const totalPages = Math.ceil(filteredCafes.length / itemsPerPage);
-    const paginationElement = document.getElementById('pagination');
+function renderMapStyleControl() {
+    if (mapStyleControl) {
+        mapStyleControl.remove();
+    }
     
-    if (totalPages <= 1) {
-        paginationElement.style.display = 'none';
-        return;
+    const styles = getMapStyles();
+    const baseLayers = {};
+    Object.entries(mapStyleLayers).forEach(([id, layer]) => {
+        const label = styles[id].label || t(`mapStyle.${id}`);
+        // Leaflet inserts layer names as HTML
+        baseLayers[String(html`${label}`)] = layer;
+    });
+    
+    mapStyleControl = L.control.layers(baseLayers, null, { position: 'bottomright' }).addTo(map);
+}
+
+/**
+ * Localisation
+ * UI strings live in locales.js (MOCHAMAP_MESSAGES), one catalog per language. t() looks a key
+ * up in the active language, falls back to English, fills in {placeholders} and picks plural
+ * forms with Intl.PluralRules. Static markup carries its keys in data-i18n attributes.
+ * Numbers, dates, times and distances are formatted for the user's locale and unit system.
+ */
+const LANGUAGE_STORAGE_KEY = 'mochamap.language';
+const UNITS_STORAGE_KEY = 'mochamap.units';
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_MILE = 5280;
+
+/**
+ * ?lang= (used by embeds) wins over the saved choice, which wins over the browser's languages
+ */
+function loadLanguage() {
+    const candidates = [
+        new URLSearchParams(window.location.search).get('lang'),
+        localStorage.getItem(LANGUAGE_STORAGE_KEY),
+        ...(navigator.languages || [navigator.language])
+    ];
+    const match = candidates
+        .filter(Boolean)
+        .map(tag => tag.split('-')[0].toLowerCase())
+        .find(code => Object.hasOwn(MOCHAMAP_MESSAGES, code));
+    return match || 'en';
+}
+
+function loadUnitSystem() {
+    const requested = new URLSearchParams(window.location.search).get('units') || localStorage.getItem(UNITS_STORAGE_KEY);
+    if (UNIT_SYSTEMS.includes(requested)) {
+        return requested;
+    }
+    const region = (navigator.language || '').split('-')[1];
+    return IMPERIAL_REGIONS.includes(region) ? 'imperial' : 'metric';
+}
+
+function setLanguage(code) {
+    language = Object.hasOwn(MOCHAMAP_MESSAGES, code) ? code : 'en';
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (error) {
+        console.error('Could not save language preference:', error);
+    }
+    refreshLocalizedViews();
+}
+
+function setUnitSystem(system) {
+    unitSystem = UNIT_SYSTEMS.includes(system) ? system : 'metric';
+    try {
+        localStorage.setItem(UNITS_STORAGE_KEY, unitSystem);
+    } catch (error) {
+        console.error('Could not save unit preference:', error);
+    }
+    refreshLocalizedViews();
+}
+
+/**
+ * The BCP 47 locale for formatting: the browser's own locale when it is in the active language
+ * (so en-GB keeps a 24-hour clock), otherwise the bare language
+ */
+function getLocale() {
+    const browserLocale = navigator.language || '';
+    return browserLocale.split('-')[0].toLowerCase() === language ? browserLocale : language;
+}
+
+/**
+ * Translate a message key, e.g. t('filters.cafes', { count: 3 }). Missing keys are returned as is.
+ */
+function t(key, params = {}) {
+    const catalog = MOCHAMAP_MESSAGES[language];
+    let message = Object.hasOwn(catalog, key) ? catalog[key] : MOCHAMAP_MESSAGES.en[key];
+    if (message === undefined) {
+        console.warn(`Missing translation for "${key}"`);
+        return key;
     }
     
-    paginationElement.style.display = 'flex';
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(getLocale()).select(params.count);
+        message = message[form] || message.other;
+    }
     
-    const prevBtn = document.getElementById('prevPage');
-    const nextBtn = document.getElementById('nextPage');
-    const pageInfo = document.getElementById('pageInfo');
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+    });
+}
+
+/**
+ * Translate the static markup: data-i18n sets the text, data-i18n-placeholder and
+ * data-i18n-aria-label set those attributes
+ */
+function applyTranslations() {
+    document.documentElement.lang = language;
+    document.title = t('app.title');
     
-    prevBtn.disabled = currentPage <= 1;
-    nextBtn.disabled = currentPage >= totalPages;
-    pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
 }
 
-function changePage(direction) {
-    const totalPages = Math.ceil(filteredCafes.length / itemsPerPage);
-    const newPage = currentPage + direction;
+/**
+ * Re-render everything that shows translated text, numbers or distances
+ */
+function refreshLocalizedViews() {
+    applyTranslations();
+    renderCoffeeCarousel();
+    renderDrinkOptions();
+    renderAmenityFilter();
+    updateRadiusOptions();
+    updateRatingLabel();
+    updateFacetLabels();
+    renderCollectionsPanel();
+    renderCrawlPanel();
+    renderCuratorPanel();
+    if (map) {
+        renderMapStyleControl();
+    }
     
-    if (newPage >= 1 && newPage <= totalPages) {
-        currentPage = newPage;
+    if (cafes.length > 0) {
         displayResults();
-        updatePagination();
-        
-        // Scroll to results
-        document.querySelector('.results-container').scrollIntoView({ 
-            behavior: 'smooth', 
-            block: 'start' 
-        });
+        updateFacetCounts(getActiveFacets(), cafes.filter(isWithinSearchArea));
+        refreshPopups();
+    }
+    updatePagination();
+    updateResultsStats();
+    
+    if (directionsTarget && directionsPanelState) {
+        renderDirectionsPanel(directionsPanelState);
+    }
+}
+
+/**
+ * The Distance filter keeps its values in meters; only the labels follow the unit system
+ */
+function updateRadiusOptions() {
+    document.querySelectorAll('#radiusFilter option').forEach(option => {
+        option.textContent = formatDistance(Number(option.value) / 1000);
+    });
+}
+
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+function formatRating(rating) {
+    return formatNumber(rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * A menu price, in the cafe's currency when it is known
+ */
+function formatPrice(amount, currency) {
+    return currency ?
+        formatNumber(amount, { style: 'currency', currency: currency }) :
+        formatNumber(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatUnit(value, unit, maximumFractionDigits = 0) {
+    return formatNumber(value, { style: 'unit', unit: unit, unitDisplay: 'short', maximumFractionDigits: maximumFractionDigits });
+}
+
+/**
+ * Format a distance given in km: meters or kilometers, or feet or miles for the imperial system
+ */
+function formatDistance(km) {
+    if (unitSystem === 'imperial') {
+        const miles = km * 1000 / METERS_PER_MILE;
+        return miles < 0.1 ?
+            formatUnit(Math.round(miles * FEET_PER_MILE / 10) * 10, 'foot') :
+            formatUnit(miles, 'mile', miles < 10 ? 1 : 0);
     }
+    return km < 1 ?
+        formatUnit(Math.round(km * 100) * 10, 'meter') :
+        formatUnit(km, 'kilometer', km < 10 ? 1 : 0);
+}
+
+function formatTime(date) {
+    return date.toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' });
 }
 
 /**
@@ -713,16 +5579,36 @@ function changePage(direction) {
 function showLoading(show = true) {
     const resultsDiv = document.getElementById('results');
     if (show) {
-        resultsDiv.innerHTML = `
+        resultsDiv.innerHTML = html`
             <div class="loading">
                 <div class="coffee-loader"></div>
-                <div class="loading-text">Brewing your coffee search...</div>
-                <div class="loading-subtext">Finding the best coffee spots nearby</div>
+                <div class="loading-text">${t('loading.title')}</div>
+                <div class="loading-subtext">${t('loading.hint')}</div>
             </div>
         `;
     }
 }
 
+/**
+ * Replace the results with an error message and a retry button
+ */
+function showSearchError(title, message) {
+    // A shared link can't be applied to results that never arrived
+    cancelUrlStateRestore();
+    
+    // Clear the previous search so its cafes aren't mistaken for results of this one
+    displayCafes([]);
+    
+    document.getElementById('results').innerHTML = html`
+        <div class="loading search-error" role="alert">
+            <div style="font-size: 3rem; margin-bottom: 20px;">⚠️</div>
+            <div class="loading-text">${title}</div>
+            <div class="loading-subtext">${message}</div>
+            <button class="search-retry-btn" data-action="retry-search">↻ ${t('search.retry')}</button>
+        </div>
+    `;
+}
+
 function showLoadingOverlay(show = true) {
     const overlay = document.getElementById('loadingOverlay');
     overlay.style.display = show ? 'flex' : 'none';
@@ -732,10 +5618,14 @@ function showLoadingOverlay(show = true) {
  * Toast notifications
  */
 function showToast(message, type = 'info', duration = 4000) {
+    if (type === 'error') {
+        emitEmbedEvent('error', { message: message });
+    }
+    
     const container = document.getElementById('toastContainer');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
-    toast.innerHTML = `
+    toast.innerHTML = html`
         <div style="display: flex; align-items: center; gap: 10px;">
             <span style="font-size: 1.2rem;">
                 ${type === 'success' ? '✅' : type === 'error' ? '❌' : 'ℹ️'}
@@ -767,7 +5657,7 @@ function toggleFullscreen() {
             document.getElementById('fullscreenBtn').innerHTML = '⛶';
             setTimeout(() => map.invalidateSize(), 100);
         }).catch(err => {
-            showToast('Fullscreen not supported', 'error');
+            showToast(t('map.fullscreenUnsupported'), 'error');
         });
     } else {
         document.exitFullscreen().then(() => {
@@ -780,9 +5670,9 @@ function toggleFullscreen() {
 function centerOnUser() {
     if (userLocation) {
         map.setView(userLocation, 15);
-        showToast('Centered on your location', 'success');
+        showToast(t('map.centered'), 'success');
     } else {
-        showToast('Location not available', 'error');
+        showToast(t('map.locationUnavailable'), 'error');
         findNearby();
     }
 }
@@ -817,25 +5707,140 @@ function setupFactAnimation() {
     observer.observe(factNumber);
 }
 
+/**
+ * Click actions
+ * The Content-Security-Policy blocks inline handlers, so clickable markup names an action in
+ * data-action (with any arguments in other data- attributes) and one delegated listener runs it.
+ */
+const clickActions = {
+    'search-cafes': () => searchCafes(),
+    'find-nearby': () => findNearby(),
+    'retry-search': () => retrySearch(),
+    'search-this-area': () => searchThisArea(),
+    'move-carousel': target => moveCarousel(Number(target.dataset.step)),
+    'filter-drink': target => filterByDrink(target.dataset.drink),
+    'change-page': target => changePage(Number(target.dataset.step)),
+    'select-cafe': target => selectCafe(Number(target.dataset.index)),
+    'toggle-favorite': target => toggleFavorite(target.dataset.cafeId),
+    'show-directions': target => showDirections(target.dataset.cafeId),
+    'set-directions-profile': target => setDirectionsProfile(target.dataset.profile),
+    'clear-directions': () => clearDirections(),
+    'toggle-fullscreen': () => toggleFullscreen(),
+    'center-on-user': () => centerOnUser(),
+    'export-cafes': () => exportCafes(),
+    'show-collection': () => showCollectionOnMap(document.getElementById('collectionSelect').value),
+    'delete-collection': () => deleteCollection(document.getElementById('collectionSelect').value),
+    'create-collection': () => createCollection(),
+    'edit-review': target => openReviewForm(target),
+    'cancel-review': target => closeReviewForm(target),
+    'delete-review': target => deleteReview(target.dataset.cafeId),
+    'remove-from-collection': target => removeFromCollection(target.dataset.collectionId, target.dataset.cafeId),
+    'toggle-crawl-stop': target => toggleCrawlStop(target.dataset.cafeId),
+    'remove-crawl-stop': target => removeCrawlStop(target.dataset.cafeId),
+    'show-crawl': () => showCrawlOnMap(),
+    'share-crawl': () => shareCrawl(),
+    'clear-crawl': () => clearCrawl(),
+    'save-crawl-plan': () => saveCrawlPlan(),
+    'open-crawl-plan': () => openCrawlPlan(document.getElementById('savedCrawlSelect').value),
+    'delete-crawl-plan': () => deleteCrawlPlan(document.getElementById('savedCrawlSelect').value),
+    'toggle-curator': () => setCurating(!isCurating),
+    'edit-cafe': target => openCafeForm(target),
+    'cancel-cafe-form': target => closeCafeForm(target),
+    'revert-cafe': target => revertCafe(target.dataset.cafeId),
+    'undo-cafe-edit': () => undoCafeEdit(),
+    'export-cafe-edits': () => exportCafeEdits(),
+    'discard-cafe-edits': () => discardCafeEdits(),
+    'dismiss-import-report': target => {
+        target.closest('.import-report').style.display = 'none';
+    },
+    'show-about': () => showAbout(),
+    'show-contact': () => showContact(),
+    'show-privacy': () => showPrivacy()
+};
+
+function handleActionClick(event) {
+    // The innermost action wins, so a favorite button inside a card doesn't also select the card,
+    // and clicks inside a form (e.g. a review form on a card) never trigger an outer action
+    const target = event.target.closest('[data-action], form');
+    if (!target || !clickActions[target.dataset.action]) return;
+    
+    if (target.tagName === 'A') {
+        event.preventDefault();
+    }
+    clickActions[target.dataset.action](target, event);
+}
+
 /**
  * Add event listeners
  */
 function addEventListeners() {
-    // Search input enter key
-    document.getElementById('locationInput').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            searchCafes();
+    // Search input type-ahead and keyboard navigation
+    const locationInput = document.getElementById('locationInput');
+    locationInput.addEventListener('input', handleLocationInput);
+    locationInput.addEventListener('keydown', handleLocationKeydown);
+    locationInput.addEventListener('blur', hideLocationSuggestions);
+    
+    // Suggestions are picked on mousedown so the input keeps focus
+    document.getElementById('locationSuggestions').addEventListener('mousedown', (event) => {
+        const item = event.target.closest('.suggestion-item');
+        if (!item) return;
+        event.preventDefault();
+        chooseLocationSuggestion(Number(item.dataset.index));
+    });
+    
+    document.addEventListener('click', handleActionClick);
+    document.addEventListener('submit', (event) => {
+        if (event.target.matches('.review-form')) {
+            event.preventDefault();
+            submitReviewForm(event.target);
+        } else if (event.target.matches('.cafe-form')) {
+            event.preventDefault();
+            submitCafeForm(event.target);
         }
     });
     
     // Filter change events
-    document.getElementById('specialtyFilter').addEventListener('change', applyFilters);
-    document.getElementById('sortFilter').addEventListener('change', applyFilters);
-    document.getElementById('radiusFilter').addEventListener('change', () => {
-        if (userLocation) {
-            searchNearbyPlaces(userLocation);
+    document.getElementById('specialtyFilter').addEventListener('change', refreshFilteredView);
+    document.getElementById('drinkFilter').addEventListener('change', refreshFilteredView);
+    document.getElementById('amenityFilter').addEventListener('change', refreshFilteredView);
+    document.getElementById('keywordFilter').addEventListener('input', refreshFilteredView);
+    document.getElementById('ratingFilter').addEventListener('input', refreshFilteredView);
+    document.getElementById('openNowFilter').addEventListener('change', refreshFilteredView);
+    document.getElementById('sortFilter').addEventListener('change', refreshFilteredView);
+    document.getElementById('ratingSource').addEventListener('change', (event) => setRatingSource(event.target.value));
+    document.getElementById('languageSelect').addEventListener('change', (event) => setLanguage(event.target.value));
+    document.getElementById('unitSystem').addEventListener('change', (event) => setUnitSystem(event.target.value));
+    document.getElementById('themeSelect').addEventListener('change', (event) => setTheme(event.target.value));
+    document.getElementById('heatmapMode').addEventListener('change', (event) => setHeatmapMode(event.target.value));
+    document.getElementById('neighborhoodStats').addEventListener('toggle', renderNeighborhoodStats);
+    ['crawlProfile', 'crawlStartTime', 'crawlStay'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateCrawlSettings);
+    });
+    document.getElementById('radiusFilter').addEventListener('change', handleRadiusChange);
+    document.getElementById('importFile').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            importCafesFile(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('collectionSelect').addEventListener('change', (e) => setActiveCollection(e.target.value));
+    document.getElementById('newCollectionName').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            createCollection();
         }
     });
+    document.getElementById('openAtFilter').addEventListener('change', () => {
+        refreshOpenStatus(true);
+        updateUrlState();
+    });
+    document.getElementById('clearFacetsBtn').addEventListener('click', clearFacets);
+    
+    // Keep "Open now" badges current while the page stays open
+    setInterval(() => {
+        if (!getSelectedOpenTime()) {
+            refreshOpenStatus();
+        }
+    }, 60000);
     
     // Carousel touch/swipe support for mobile
     let isDown = false;
@@ -894,25 +5899,13 @@ function addEventListeners() {
  * Footer link handlers
  */
 function showAbout() {
-    showToast('Coffee Explorer - Discover amazing coffee shops using OpenStreetMap! ☕', 'info', 6000);
+    showToast(t('footer.aboutText'), 'info', 6000);
 }
 
 function showContact() {
-    showToast('Contact us at: hello@coffeeexplorer.com ☕', 'info', 5000);
+    showToast(t('footer.contactText'), 'info', 5000);
 }
 
 function showPrivacy() {
-    showToast('We respect your privacy. Location data is only used for search and never stored.', 'info', 5000);
-}
-
-// Export functions for global access (if needed)
-window.searchCafes = searchCafes;
-window.findNearby = findNearby;
-window.moveCarousel = moveCarousel;
-window.selectCafe = selectCafe;
-window.changePage = changePage;
-window.toggleFullscreen = toggleFullscreen;
-window.centerOnUser = centerOnUser;
-window.showAbout = showAbout;
-window.showContact = showContact;
-window.showPrivacy = showPrivacy;
\ No newline at end of file
+    showToast(t('footer.privacyText'), 'info', 5000);
+}
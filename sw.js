@@ -0,0 +1,181 @@
+/**
+ * Coffee Explorer - Service Worker
+ * Caches the app shell and recently viewed map tiles so MochaMap keeps working offline.
+ * Search results and favorites are kept in localStorage by script.js.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `mochamap-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `mochamap-tiles-${CACHE_VERSION}`;
+const TILE_CACHE_MAX_BYTES = 30 * 1024 * 1024; // 30 MB of map tiles
+const TILE_SIZE_HEADER = 'X-MochaMap-Size';
+const TILE_USED_HEADER = 'X-MochaMap-Used';
+const TILE_TOUCH_INTERVAL = 60 * 60 * 1000; // refresh a tile's last use at most hourly
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'locales.js',
+    'script.js',
+    'manifest.webmanifest',
+    'asset/icon.svg',
+    'asset/Logo.png',
+    'asset/EspressoCoffee.jpg',
+    'asset/Cappuccino.jpg',
+    'asset/IcedAmericano.jpg',
+    'asset/Mocha%20Coffee.jpg',
+    'asset/lattecup.jpg',
+    'asset/HazelNut.jpg',
+    'asset/Frappe.jpg',
+    'asset/Dalgona.jpg',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js'
+];
+
+// Hosts whose responses are cached as part of the shell when first requested
+const RUNTIME_SHELL_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+let tileTrimTimer = null;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('mochamap-') && key !== SHELL_CACHE && key !== TILE_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isTileRequest(url)) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (url.origin === self.location.origin || RUNTIME_SHELL_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else (geocoding, cafe data, routing) goes straight to the network;
+    // the app falls back to its own saved data when those requests fail.
+});
+
+/**
+ * Map tiles, from OpenStreetMap or a configured tile server
+ */
+function isTileRequest(url) {
+    return /\/\d+\/\d+\/\d+(@2x)?\.(png|jpg|jpeg|webp)$/.test(url.pathname);
+}
+
+/**
+ * Serve the cached shell file and refresh it in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const isNavigation = request.mode === 'navigate';
+    // Deep links carry state in the query string, so pages are cached without it
+    const cacheKey = isNavigation ? request.url.split('?')[0] : request;
+    const cached = await cache.match(cacheKey);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(cacheKey, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || (isNavigation ? cache.match('index.html') : Response.error()));
+
+    return cached || network;
+}
+
+/**
+ * Serve tiles from the cache, storing new ones within the tile budget
+ */
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        touchTile(cache, request, cached);
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await storeTile(cache, request, response.clone());
+            scheduleTileTrim();
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * Store a tile with its size and the time it was last used, which trimming reads back
+ */
+async function storeTile(cache, request, response) {
+    const blob = await response.blob();
+    const headers = new Headers(response.headers);
+    headers.set(TILE_SIZE_HEADER, String(blob.size));
+    headers.set(TILE_USED_HEADER, String(Date.now()));
+    await cache.put(request, new Response(blob, { status: response.status, headers: headers }));
+}
+
+/**
+ * Mark a cached tile as recently used so trimming keeps it
+ */
+function touchTile(cache, request, cached) {
+    const lastUsed = parseInt(cached.headers.get(TILE_USED_HEADER), 10) || 0;
+    if (Date.now() - lastUsed < TILE_TOUCH_INTERVAL) return;
+
+    storeTile(cache, request, cached.clone()).catch(error => {
+        console.error('Could not update tile cache entry:', error);
+    });
+}
+
+function scheduleTileTrim() {
+    clearTimeout(tileTrimTimer);
+    tileTrimTimer = setTimeout(trimTileCache, 2000);
+}
+
+/**
+ * Drop the least recently used tiles until the cache fits in TILE_CACHE_MAX_BYTES
+ */
+async function trimTileCache() {
+    const cache = await caches.open(TILE_CACHE);
+    const requests = await cache.keys();
+    const entries = await Promise.all(requests.map(async request => {
+        const response = await cache.match(request);
+        return {
+            request: request,
+            size: response ? parseInt(response.headers.get(TILE_SIZE_HEADER), 10) || 0 : 0,
+            // Tiles cached before last-use tracking count as the oldest
+            lastUsed: response ? parseInt(response.headers.get(TILE_USED_HEADER), 10) || 0 : 0
+        };
+    }));
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+
+    for (let i = 0; i < entries.length && total > TILE_CACHE_MAX_BYTES; i++) {
+        await cache.delete(entries[i].request);
+        total -= entries[i].size;
+    }
+}